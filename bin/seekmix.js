@@ -0,0 +1,440 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const providers = require('../index');
+
+const { SeekMix, BaseEmbeddingProvider, createServer } = providers;
+
+const USAGE = `Usage: seekmix <command> [options]
+
+Commands:
+  tables                    List the cache_*/vec_* table pairs in the database
+  stats                     Entries, tags, namespaces and database size
+  list                      Show the most recent entries
+  query <text>              Show the closest entries and their similarity
+  delete <query>            Delete the entry stored for an exact query
+  purge                     Remove expired entries, and old ones with --older-than
+  export [file]             Write entries as JSON lines (default: stdout)
+  import [file]             Read JSON lines written by export (default: stdin)
+  serve                     Expose the cache as a JSON HTTP service
+
+Options:
+  -d, --db <path>           Database file (default: seekmix.db)
+  -m, --model <name>        Model whose tables to open, when the file holds several
+  -n, --namespace <name>    Namespace to work on (default: '')
+      --all-namespaces      list, purge, export: every namespace
+  -c, --config <file>       Module exporting SeekMix options, or a function returning them
+  -p, --provider <class>    Embedding provider for query and import, e.g. OpenAIEmbedding3Provider
+      --base-url <url>      Base URL for --provider
+  -t, --tags <a,b>          Only entries with all these tags
+      --exclude-tags <a,b>  Skip entries with any of these tags
+  -s, --scope <json>        query, delete: exact-match scope, e.g. '{"locale":"es"}'
+      --limit <n>           list: entries to show (default: 20)
+      --offset <n>          list: entries to skip
+  -k <n>                    query: matches to show (default: 5)
+      --threshold <0-1>     query: minimum similarity (default: 0)
+      --older-than <age>    purge: entries older than this, e.g. 90s, 30m, 12h, 7d
+      --vectors             export: include vectors
+      --reembed             import: embed every query again
+      --on-conflict <mode>  import: overwrite, skip or newer (default: overwrite)
+      --host <host>         serve: interface to listen on (default: 127.0.0.1)
+      --port <port>         serve: port to listen on (default: 8080)
+      --token <token>       serve: require "Authorization: Bearer <token>" (default: $SEEKMIX_TOKEN)
+      --max-body-size <n>   serve: largest request body, e.g. 512kb, 2mb (default: 1mb)
+      --json                Print JSON instead of text
+  -h, --help                Show this help
+`;
+
+const OPTIONS = {
+    db: { type: 'string', short: 'd' },
+    model: { type: 'string', short: 'm' },
+    namespace: { type: 'string', short: 'n' },
+    'all-namespaces': { type: 'boolean' },
+    config: { type: 'string', short: 'c' },
+    provider: { type: 'string', short: 'p' },
+    'base-url': { type: 'string' },
+    tags: { type: 'string', short: 't' },
+    'exclude-tags': { type: 'string' },
+    scope: { type: 'string', short: 's' },
+    limit: { type: 'string', default: '20' },
+    offset: { type: 'string', default: '0' },
+    k: { type: 'string', short: 'k', default: '5' },
+    threshold: { type: 'string', default: '0' },
+    'older-than': { type: 'string' },
+    vectors: { type: 'boolean' },
+    reembed: { type: 'boolean' },
+    'on-conflict': { type: 'string', default: 'overwrite' },
+    host: { type: 'string', default: '127.0.0.1' },
+    port: { type: 'string', default: '8080' },
+    token: { type: 'string' },
+    'max-body-size': { type: 'string', default: '1mb' },
+    json: { type: 'boolean' },
+    help: { type: 'boolean', short: 'h' },
+};
+
+// Opening tables only needs their recorded layout; embedding needs a real provider
+class StoredLayoutProvider extends BaseEmbeddingProvider {
+    async getEmbeddings() {
+        throw new Error(`This command embeds text with ${this.model}: pass --config or --provider`);
+    }
+}
+
+const print = (line = '') => process.stdout.write(`${line}\n`);
+const printJson = value => print(JSON.stringify(value, null, 2));
+
+const list = value => (value ? value.split(',').map(item => item.trim()).filter(Boolean) : []);
+
+const preview = (value, width = 60) => {
+    const text = (typeof value === 'string' ? value : JSON.stringify(value)).replace(/\s+/g, ' ');
+    return text.length > width ? `${text.slice(0, width - 1)}…` : text;
+};
+
+const countEntries = count => `${count} ${count === 1 ? 'entry' : 'entries'}`;
+
+const formatDate = timestamp => new Date(timestamp).toISOString().replace(/\.\d+Z$/, 'Z');
+
+const formatBytes = (bytes) => {
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let i = 0;
+    while (bytes >= 1024 && i < units.length - 1) {
+        bytes /= 1024;
+        i++;
+    }
+    return `${i === 0 ? bytes : bytes.toFixed(1)} ${units[i]}`;
+};
+
+function printTable(rows, columns, { headers = true } = {}) {
+    const cells = [
+        ...(headers ? [columns.map(([header]) => header)] : []),
+        ...rows.map(row => columns.map(([, cell]) => String(cell(row)))),
+    ];
+    const widths = columns.map((_, i) => Math.max(...cells.map(line => line[i].length)));
+    for (const line of cells) {
+        print(line.map((cell, i) => cell.padEnd(widths[i])).join('  ').trimEnd());
+    }
+}
+
+function parseNumber(value, name) {
+    const number = Number(value);
+    if (!Number.isFinite(number)) throw new Error(`--${name} must be a number, got "${value}"`);
+    return number;
+}
+
+// 90, 90s, 30m, 12h or 7d, in seconds
+function parseDuration(value) {
+    const match = /^(\d+(?:\.\d+)?)\s*([smhd]?)$/.exec(value);
+    if (!match) throw new Error(`Invalid duration "${value}". Use a number of seconds or 90s, 30m, 12h, 7d`);
+    return Number(match[1]) * { '': 1, s: 1, m: 60, h: 3600, d: 86400 }[match[2]];
+}
+
+// 1048576, 512kb or 2mb, in bytes
+function parseSize(value) {
+    const match = /^(\d+)\s*(b|kb|mb)?$/i.exec(value);
+    if (!match) throw new Error(`Invalid size "${value}". Use a number of bytes or 512kb, 2mb`);
+    return Number(match[1]) * { b: 1, kb: 1024, mb: 1024 * 1024 }[(match[2] || 'b').toLowerCase()];
+}
+
+function tagFilter(values) {
+    return { in: list(values.tags), out: list(values['exclude-tags']) };
+}
+
+function parseScope(value) {
+    if (value === undefined) return undefined;
+    try {
+        return JSON.parse(value);
+    } catch {
+        throw new Error(`--scope must be a JSON object, got "${value}"`);
+    }
+}
+
+async function loadConfig(values) {
+    if (!values.config) return {};
+    const loaded = require(path.resolve(values.config));
+    return (typeof loaded === 'function' ? await loaded() : loaded) || {};
+}
+
+function dbPathOf(values, config) {
+    return values.db || config.dbPath || 'seekmix.db';
+}
+
+// Picks the table pair to open: the one for --model or the configured provider, or the only one in the file
+async function findTable(values, config, dbPath, { create }) {
+    const exists = fs.existsSync(dbPath);
+    if (!exists && !create) throw new Error(`${dbPath} does not exist`);
+
+    const tables = exists ? await SeekMix.tables({ dbPath }) : [];
+
+    const model = values.model || (config.embeddingProvider && config.embeddingProvider.model);
+    if (model) return tables.find(table => table.model === model) || null;
+    if (tables.length <= 1) return tables[0] || null;
+
+    throw new Error(
+        `${dbPath} holds tables for several models (${tables.map(table => table.model || table.cacheTable).join(', ')}). ` +
+        'Pick one with --model'
+    );
+}
+
+// Options that reproduce how the tables were written, so opening them never rekeys or rebuilds anything
+function layoutOptions(table, config) {
+    if (!table) return {};
+
+    const steps = table.normalization ? table.normalization.split('|') : [];
+    if (steps.some(step => step.startsWith('fn:')) && config.normalize === undefined) {
+        throw new Error(
+            `${table.cacheTable} keys were normalized with a custom function: pass --config with the same normalize option`
+        );
+    }
+
+    return {
+        quantization: table.quantization,
+        normalize: steps.length > 0 ? steps : false,
+    };
+}
+
+function createProvider(values, config, table) {
+    if (config.embeddingProvider) return config.embeddingProvider;
+
+    if (values.provider) {
+        const Provider = providers[values.provider];
+        if (typeof Provider !== 'function' || !/Provider$/.test(values.provider)) {
+            throw new Error(`Unknown provider "${values.provider}"`);
+        }
+        return new Provider({
+            model: values.model || (table && table.model) || undefined,
+            dimensions: (table && table.dimensions) || undefined,
+            baseURL: values['base-url'],
+        });
+    }
+
+    if (!table) {
+        throw new Error(`No SeekMix tables${values.model ? ` for model ${values.model}` : ''}: pass --config or --provider`);
+    }
+    if (!table.model) {
+        throw new Error(`${table.cacheTable} was created before SeekMix recorded its model: pass --config or --provider`);
+    }
+
+    return new StoredLayoutProvider({
+        model: table.model,
+        dimensions: table.dimensions,
+        inputTemplate: table.inputTemplate ? JSON.parse(table.inputTemplate) : null,
+    });
+}
+
+async function withCache(values, run, { create = false } = {}) {
+    const config = await loadConfig(values);
+    const dbPath = dbPathOf(values, config);
+    const table = await findTable(values, config, dbPath, { create });
+    const embeddingProvider = createProvider(values, config, table);
+
+    const options = {
+        ...layoutOptions(table, config),
+        ...config,
+        dbPath,
+        embeddingProvider,
+        namespace: values.namespace ?? config.namespace ?? '',
+    };
+    // A full-size provider opening tables stored truncated
+    if (table && options.truncateDimensions === undefined && embeddingProvider.dimensions > table.dimensions) {
+        options.truncateDimensions = table.dimensions;
+    }
+
+    const cache = new SeekMix(options);
+    await cache.connect();
+    try {
+        return await run(cache);
+    } finally {
+        await cache.disconnect();
+    }
+}
+
+// Namespaces with entries, for commands that work namespace by namespace
+async function namespacesOf(cache, values) {
+    if (!values['all-namespaces']) return [cache.options.namespace];
+    return Object.keys((await cache.stats()).namespaces);
+}
+
+const COMMANDS = {
+    async tables(values) {
+        const dbPath = dbPathOf(values, await loadConfig(values));
+        if (!fs.existsSync(dbPath)) throw new Error(`${dbPath} does not exist`);
+
+        const tables = await SeekMix.tables({ dbPath });
+        if (values.json) return printJson(tables);
+        if (tables.length === 0) return print(`No SeekMix tables in ${dbPath}`);
+
+        printTable(tables, [
+            ['MODEL', table => table.model || '(unknown)'],
+            ['ENTRIES', table => table.entries],
+            ['DIMENSIONS', table => table.dimensions ?? '?'],
+            ['VECTORS', table => table.quantization],
+            ['DISTANCE', table => table.distanceMetric ?? '?'],
+            ['SCHEMA', table => table.schemaVersion],
+            ['TABLES', table => `${table.cacheTable} / ${table.vecTable}`],
+        ]);
+    },
+
+    async stats(values) {
+        await withCache(values, async (cache) => {
+            const stats = await cache.stats();
+            if (values.json) return printJson(stats);
+
+            const counts = object => Object.entries(object)
+                .map(([name, count]) => `${name || "''"} (${typeof count === 'number' ? count : count.entries})`)
+                .join(', ') || '-';
+
+            printTable([
+                ['Model', `${cache.embeddingProvider.model} (${cache._cacheTable} / ${cache._vecTable})`],
+                ['Entries', stats.entries],
+                ['Database', formatBytes(stats.dbSize)],
+                ['Namespaces', counts(stats.namespaces)],
+                ['Tags', counts(stats.tags)],
+                ['Embeddings', `${stats.embeddingCache.size} memoized`],
+            ], [['', row => row[0]], ['', row => row[1]]], { headers: false });
+        });
+    },
+
+    async list(values) {
+        await withCache(values, async (cache) => {
+            const rows = await cache.list({
+                tags: tagFilter(values),
+                namespace: values['all-namespaces'] ? null : cache.options.namespace,
+                limit: parseNumber(values.limit, 'limit'),
+                offset: parseNumber(values.offset, 'offset'),
+            });
+            if (values.json) return printJson(rows);
+            if (rows.length === 0) return print('No entries');
+
+            printTable(rows, [
+                ['STORED', entry => formatDate(entry.timestamp)],
+                ...(values['all-namespaces'] ? [['NAMESPACE', entry => entry.namespace || "''"]] : []),
+                ['HITS', entry => entry.hitCount],
+                ['TAGS', entry => entry.tags.join(',') || '-'],
+                ['QUERY', entry => preview(entry.query, 50)],
+                ['RESULT', entry => preview(entry.result)],
+            ]);
+        });
+    },
+
+    async query(values, [text]) {
+        if (!text) throw new Error('Usage: seekmix query "<text>"');
+
+        await withCache(values, async (cache) => {
+            const matches = await cache.search(text, {
+                k: parseNumber(values.k, 'k'),
+                threshold: parseNumber(values.threshold, 'threshold'),
+                tags: tagFilter(values),
+                scope: parseScope(values.scope),
+            });
+            if (values.json) return printJson(matches);
+            if (matches.length === 0) return print('No matches');
+
+            printTable(matches, [
+                ['SIMILARITY', match => match.similarity.toFixed(3)],
+                ['TAGS', match => match.tags.join(',') || '-'],
+                ['QUERY', match => preview(match.query, 50)],
+                ['RESULT', match => preview(match.result)],
+            ]);
+        });
+    },
+
+    async delete(values, [query]) {
+        if (!query) throw new Error('Usage: seekmix delete "<query>"');
+
+        await withCache(values, async (cache) => {
+            const deleted = await cache.delete(query, { scope: parseScope(values.scope) });
+            if (values.json) return printJson({ deleted });
+            print(`Deleted ${countEntries(deleted)}`);
+        });
+    },
+
+    async purge(values) {
+        await withCache(values, async (cache) => {
+            // Expired entries go in every namespace; age only where asked
+            const expired = await cache.purgeExpired();
+            let old = 0;
+            if (values['older-than']) {
+                const maxAge = parseDuration(values['older-than']);
+                for (const namespace of await namespacesOf(cache, values)) {
+                    old += await cache.invalidateOld(maxAge, { namespace });
+                }
+            }
+            if (values.json) return printJson({ expired, old });
+            print(`Removed ${expired} expired and ${old} old entries`);
+        });
+    },
+
+    async export(values, [file]) {
+        await withCache(values, async (cache) => {
+            const toFile = file && file !== '-';
+            const stream = toFile ? fs.createWriteStream(file) : process.stdout;
+            const exported = await cache.export(stream, {
+                includeVectors: Boolean(values.vectors),
+                tags: tagFilter(values),
+                namespace: values['all-namespaces'] ? null : cache.options.namespace,
+            });
+            if (toFile) await new Promise((resolve, reject) => stream.end(error => (error ? reject(error) : resolve())));
+            process.stderr.write(`Exported ${countEntries(exported)}\n`);
+        });
+    },
+
+    async import(values, [file]) {
+        await withCache(values, async (cache) => {
+            const stream = file && file !== '-' ? fs.createReadStream(file) : process.stdin;
+            const summary = await cache.import(stream, {
+                reembed: Boolean(values.reembed),
+                onConflict: values['on-conflict'],
+                namespace: values.namespace,
+            });
+            if (values.json) return printJson(summary);
+            print(`Imported ${countEntries(summary.imported)} (${summary.embedded} embedded, ${summary.skipped} skipped)`);
+        }, { create: true });
+    },
+
+    async serve(values) {
+        await withCache(values, async (cache) => {
+            if (cache.embeddingProvider instanceof StoredLayoutProvider) {
+                throw new Error('serve embeds text: pass --config or --provider');
+            }
+
+            const server = createServer(cache, {
+                token: values.token || process.env.SEEKMIX_TOKEN || null,
+                maxBodySize: parseSize(values['max-body-size']),
+            });
+            await new Promise((resolve, reject) => {
+                server.once('error', reject);
+                server.listen(parseNumber(values.port, 'port'), values.host, resolve);
+            });
+            const { address, port } = server.address();
+            process.stderr.write(`Serving ${cache.embeddingProvider.model} on http://${address}:${port}\n`);
+
+            // Run until stopped, then let in-flight requests finish before the database closes
+            await new Promise(resolve => ['SIGINT', 'SIGTERM'].forEach(signal => process.once(signal, resolve)));
+            await new Promise(resolve => server.close(resolve));
+        }, { create: true });
+    },
+};
+
+async function main(argv) {
+    const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    const [command, ...args] = positionals;
+
+    if (values.help || !command) {
+        process.stdout.write(USAGE);
+        return;
+    }
+    if (!Object.hasOwn(COMMANDS, command)) {
+        throw new Error(`Unknown command "${command}". Run seekmix --help for the list`);
+    }
+
+    await COMMANDS[command](values, args);
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).catch((error) => {
+        process.stderr.write(`seekmix: ${error.message}\n`);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { main };
@@ -1,79 +1,367 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const http = require('http');
+const readline = require('readline');
 const Database = require('better-sqlite3');
 const sqliteVec = require('sqlite-vec');
 const { pipeline } = require('@huggingface/transformers');
 const log = require('lemonlog')('SeekMix');
 
-async function fetchJson(url, { method = 'GET', headers = {}, body } = {}) {
-    const res = await fetch(url, {
-        method,
-        headers,
-        body: body === undefined ? undefined : JSON.stringify(body),
-    });
+// Errors from HTTP upstreams. `code` tells timeouts, network failures and HTTP errors apart,
+// `retryable` whether trying again later may succeed.
+class ProviderError extends Error {
+    constructor(message, { code, provider = null, status = null, statusText = null, data = null, retryable = false, cause } = {}) {
+        super(message, cause ? { cause } : undefined);
+        this.name = this.constructor.name;
+        this.code = code;
+        this.provider = provider;
+        this.status = status;
+        this.statusText = statusText;
+        this.data = data;
+        this.retryable = retryable;
+        this.attempts = 1;
+        this.retryAfter = null;
+    }
+}
 
-    const contentType = res.headers.get('content-type') || '';
-    const isJson = contentType.includes('application/json');
+// Thrown by the HTTP embedding providers
+class EmbeddingProviderError extends ProviderError {}
 
-    const parseBody = async () => {
-        if (res.status === 204) return null;
-        if (isJson) {
-            try {
-                return await res.json();
-            } catch {
-                return null;
+// Thrown by cachedChatCompletion() when the { baseURL } client's request fails
+class ChatCompletionError extends ProviderError {}
+
+const RETRYABLE_STATUS = (status) => status === 408 || status === 429 || status >= 500;
+
+// Retry-After is either a number of seconds or an HTTP date; returns milliseconds or null
+function parseRetryAfter(value) {
+    if (!value) return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+async function fetchJson(url, {
+    method = 'GET',
+    headers = {},
+    body,
+    timeout = 0,
+    provider = null,
+    ErrorClass = EmbeddingProviderError
+} = {}) {
+    const controller = new AbortController();
+    const timer = timeout > 0 ? setTimeout(() => controller.abort(), timeout) : null;
+
+    try {
+        let res;
+        try {
+            res = await fetch(url, {
+                method,
+                headers,
+                body: body === undefined ? undefined : JSON.stringify(body),
+                signal: controller.signal,
+            });
+        } catch (error) {
+            if (controller.signal.aborted) {
+                throw new ErrorClass(`Request to ${url} timed out after ${timeout}ms`, {
+                    code: 'SEEKMIX_PROVIDER_TIMEOUT', provider, retryable: true, cause: error,
+                });
             }
+            throw new ErrorClass(`Request to ${url} failed: ${error.message}`, {
+                code: 'SEEKMIX_PROVIDER_NETWORK', provider, retryable: true, cause: error,
+            });
         }
-        const text = await res.text();
-        return text.length > 0 ? text : null;
-    };
 
-    const data = await parseBody();
+        const contentType = res.headers.get('content-type') || '';
+        const isJson = contentType.includes('application/json');
+
+        const parseBody = async () => {
+            if (res.status === 204) return null;
+            if (isJson) {
+                try {
+                    return await res.json();
+                } catch {
+                    return null;
+                }
+            }
+            const text = await res.text();
+            return text.length > 0 ? text : null;
+        };
+
+        let data;
+        try {
+            data = await parseBody();
+        } catch (error) {
+            // The timeout can also fire while the body is still streaming in
+            if (controller.signal.aborted) {
+                throw new ErrorClass(`Request to ${url} timed out after ${timeout}ms`, {
+                    code: 'SEEKMIX_PROVIDER_TIMEOUT', provider, retryable: true, cause: error,
+                });
+            }
+            throw error;
+        }
+
+        if (!res.ok) {
+            const detail =
+                (data && typeof data === 'object' && data.error && data.error.message) ||
+                (typeof data === 'string' ? data : data ? JSON.stringify(data) : '');
+            const message = `HTTP ${res.status} ${res.statusText}${detail ? `: ${detail}` : ''}`;
+            const err = new ErrorClass(message, {
+                code: 'SEEKMIX_PROVIDER_HTTP',
+                provider,
+                status: res.status,
+                statusText: res.statusText,
+                data,
+                retryable: RETRYABLE_STATUS(res.status),
+            });
+            err.retryAfter = parseRetryAfter(res.headers.get('retry-after'));
+            throw err;
+        }
 
-    if (!res.ok) {
-        const detail =
-            (data && typeof data === 'object' && data.error && data.error.message) ||
-            (typeof data === 'string' ? data : data ? JSON.stringify(data) : '');
-        const message = `HTTP ${res.status} ${res.statusText}${detail ? `: ${detail}` : ''}`;
-        const err = new Error(message);
-        err.status = res.status;
-        err.statusText = res.statusText;
-        err.data = data;
-        throw err;
+        return data;
+    } finally {
+        if (timer) clearTimeout(timer);
     }
+}
+
+// Runs at most `max` tasks at a time, the rest wait in FIFO order
+function createLimiter(max) {
+    let active = 0;
+    const queue = [];
+
+    const next = () => {
+        if (active >= max || queue.length === 0) return;
+        active++;
+        const { task, resolve, reject } = queue.shift();
+        task().then(resolve, reject).finally(() => {
+            active--;
+            next();
+        });
+    };
 
-    return data;
+    return (task) => new Promise((resolve, reject) => {
+        queue.push({ task, resolve, reject });
+        next();
+    });
 }
 
-function createJsonClient({ baseURL, headers = {} }) {
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function createJsonClient({
+    baseURL,
+    headers = {},
+    provider = null,
+    timeout = 30000,
+    maxRetries = 3,
+    retryDelay = 500,
+    maxRetryDelay = 30000,
+    maxConcurrency = Infinity,
+    ErrorClass = EmbeddingProviderError
+}) {
     // Trailing slash + relative path: otherwise new URL('/x', base) drops the base path (e.g. /v1).
     const base = new URL(baseURL.endsWith('/') ? baseURL : `${baseURL}/`);
+    const limit = createLimiter(maxConcurrency);
+
     return {
         async post(path, body) {
             const relative = path.startsWith('/') ? path.slice(1) : path;
             const url = new URL(relative, base);
-            const data = await fetchJson(url, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    ...headers,
-                },
-                body,
-            });
-            return { data };
+
+            for (let attempt = 0; ; attempt++) {
+                try {
+                    const data = await limit(() => fetchJson(url, {
+                        method: 'POST',
+                        headers: {
+                            'Content-Type': 'application/json',
+                            ...headers,
+                        },
+                        body,
+                        timeout,
+                        provider,
+                        ErrorClass,
+                    }));
+                    return { data };
+                } catch (error) {
+                    if (error instanceof ProviderError) error.attempts = attempt + 1;
+                    if (!error.retryable || attempt >= maxRetries) throw error;
+
+                    // Exponential backoff with full jitter, unless the server said how long to wait
+                    const backoff = Math.random() * Math.min(maxRetryDelay, retryDelay * 2 ** attempt);
+                    const delay = error.retryAfter !== null ? Math.min(error.retryAfter, maxRetryDelay) : backoff;
+                    log.warn(`${provider || url.host}: ${error.message}. Retrying in ${Math.round(delay)}ms (${attempt + 1}/${maxRetries})`);
+                    await sleep(delay);
+                }
+            }
         },
     };
 }
 
+// Backward compatible tags filter:
+// - tags: []  -> includeTags
+// - tags: { in: [], out: [] } -> includeTags/excludeTags
+function parseTagFilter(tags) {
+    if (Array.isArray(tags)) {
+        return { includeTags: tags, excludeTags: [] };
+    }
+    if (tags && typeof tags === 'object') {
+        const inTags = Array.isArray(tags.in) ? tags.in : [];
+        const outTags = Array.isArray(tags.out) ? tags.out : [];
+        return { includeTags: inTags, excludeTags: outTags };
+    }
+    return { includeTags: [], excludeTags: [] };
+}
+
+// - includeTags: all requested tags must be present (AND logic)
+// - excludeTags: none of the excluded tags may be present
+function matchesTags(entryTags, { includeTags, excludeTags }) {
+    if (includeTags.length > 0 && !includeTags.every(tag => entryTags.includes(tag))) {
+        return false;
+    }
+    if (excludeTags.length > 0 && excludeTags.some(tag => entryTags.includes(tag))) {
+        return false;
+    }
+    return true;
+}
+
+// JSON with object keys sorted, so equal scopes always hash the same
+function stableStringify(value) {
+    if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+// Exact-match context of an entry: '' without one, else the hash of its fields in a stable order
+function hashScope(scope) {
+    if (scope === undefined || scope === null) return '';
+    if (typeof scope !== 'object' || Array.isArray(scope)) {
+        throw new TypeError('scope must be a plain object');
+    }
+    const json = stableStringify(scope);
+    return json === '{}' ? '' : crypto.createHash('sha256').update(json).digest('hex');
+}
+
+const STOPWORDS = new Set([
+    // English
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'how', 'i', 'in', 'is', 'it',
+    'me', 'my', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'what', 'when', 'where',
+    'which', 'who', 'why', 'will', 'with', 'you', 'your',
+    // Spanish
+    'al', 'como', 'con', 'cual', 'cuál', 'de', 'del', 'el', 'en', 'es', 'la', 'las', 'lo', 'los',
+    'me', 'mi', 'para', 'por', 'que', 'qué', 'se', 'su', 'un', 'una', 'y',
+]);
+
+const NORMALIZERS = {
+    nfkc: text => text.normalize('NFKC'),
+    lowercase: text => text.toLowerCase(),
+    whitespace: text => text.replace(/\s+/g, ' ').trim(),
+    punctuation: text => text.replace(/\p{P}/gu, ''),
+    stopwords: text => text.split(/\s+/).filter(word => word && !STOPWORDS.has(word.toLowerCase())).join(' '),
+};
+
+const DEFAULT_NORMALIZE = ['nfkc', 'lowercase', 'punctuation', 'whitespace'];
+
+// normalize: false | true (DEFAULT_NORMALIZE) | step name | function | array of names and functions
+function createNormalizer(normalize) {
+    if (!normalize) return { normalize: text => text, signature: '' };
+
+    const steps = normalize === true ? DEFAULT_NORMALIZE : [].concat(normalize);
+    const fns = steps.map((step) => {
+        if (typeof step === 'function') return step;
+        if (NORMALIZERS[step]) return NORMALIZERS[step];
+        throw new Error(`Unknown normalize step "${step}". Use one of: ${Object.keys(NORMALIZERS).join(', ')}, or a function`);
+    });
+
+    // Stored with the tables so keys can be recomputed when the pipeline changes
+    const signature = steps.map(step => (typeof step === 'function'
+        ? `fn:${crypto.createHash('sha256').update(step.toString()).digest('hex').substring(0, 16)}`
+        : step)).join('|');
+
+    return {
+        normalize: text => fns.reduce((current, fn) => fn(current), text),
+        signature,
+    };
+}
+
+function cosineSimilarity(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    if (normA === 0 || normB === 0) return 0;
+    return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+// Models trained with asymmetric inputs expect a prefix or an instruction; `{text}` is replaced with the text
+const INPUT_TEMPLATES = {
+    // Cached questions are matched against questions, a symmetric task, so both sides get 'query: '
+    e5: { query: 'query: {text}', passage: 'query: {text}' },
+    bge: { query: 'Represent this sentence for searching relevant passages: {text}', passage: '{text}' },
+    qwen3: {
+        query: 'Instruct: Given a question, retrieve cached questions that ask the same thing\nQuery:{text}',
+        passage: '{text}',
+    },
+};
+
+// 'auto' picks a preset from the model name; unknown models get no template
+function resolveInputTemplate(template, model) {
+    if (!template) return null;
+
+    if (template === 'auto') {
+        const name = String(model).toLowerCase();
+        if (/(^|[/_-])e5([_-]|$)/.test(name)) return INPUT_TEMPLATES.e5;
+        if (name.includes('qwen3-embedding')) return INPUT_TEMPLATES.qwen3;
+        if (/bge-(small|base|large)-(en|zh)/.test(name)) return INPUT_TEMPLATES.bge;
+        return null;
+    }
+
+    if (typeof template === 'string') {
+        if (!INPUT_TEMPLATES[template]) {
+            throw new Error(`Unknown input template "${template}". Use one of: auto, ${Object.keys(INPUT_TEMPLATES).join(', ')}`);
+        }
+        return INPUT_TEMPLATES[template];
+    }
+
+    return template;
+}
+
 class BaseEmbeddingProvider {
 
-    constructor({ model, dimensions } = {}) {
+    constructor({ model, dimensions, inputTemplate = null } = {}) {
         this.model = model;
         this.dimensions = dimensions;
+        this.inputTemplate = resolveInputTemplate(inputTemplate, model);
+    }
+
+    // inputType is 'query' when looking something up and 'passage' when storing it
+    formatInput(text, inputType = 'query') {
+        const template = this.inputTemplate && this.inputTemplate[inputType];
+        if (!template) return text;
+        if (typeof template === 'function') return template(text);
+        return template.replace('{text}', () => text);
     }
 
     async getEmbeddings(text) {
         throw new Error('The getEmbeddings method must be implemented by derived classes');
     }
 
+    // Providers with a real batch endpoint override this; the default embeds one text at a time
+    async getEmbeddingsBatch(texts) {
+        const embeddings = [];
+        for (const text of texts) {
+            embeddings.push(await this.getEmbeddings(text));
+        }
+        return embeddings;
+    }
+
     float32Buffer(arr) {
         return Buffer.from(new Float32Array(arr).buffer);
     }
@@ -83,15 +371,29 @@ class OpenAIEmbeddingProvider extends BaseEmbeddingProvider {
     constructor({
         model = 'text-embedding-ada-002',
         dimensions = 1536,
-        apiKey = process.env.OPENAI_API_KEY
+        apiKey = process.env.OPENAI_API_KEY,
+        baseURL = 'https://api.openai.com/v1',
+        inputTemplate = null,
+        timeout,
+        maxRetries,
+        retryDelay,
+        maxConcurrency
     } = {}) {
-        super({ model, dimensions });
+        super({ model, dimensions, inputTemplate });
+
+        // v3 models can shorten their vectors on OpenAI's side (Matryoshka); older ones reject the parameter
+        this.requestDimensions = /^text-embedding-3/.test(model);
 
         this.openaiClient = createJsonClient({
-            baseURL: 'https://api.openai.com/v1',
+            baseURL,
             headers: {
                 'Authorization': `Bearer ${apiKey}`,
             },
+            provider: this.constructor.name,
+            timeout,
+            maxRetries,
+            retryDelay,
+            maxConcurrency,
         });
     }
 
@@ -100,7 +402,8 @@ class OpenAIEmbeddingProvider extends BaseEmbeddingProvider {
             const response = await this.openaiClient.post('/embeddings', {
                 model: this.model,
                 input: text,
-                encoding_format: 'float'
+                encoding_format: 'float',
+                ...(this.requestDimensions ? { dimensions: this.dimensions } : {})
             });
 
             return response.data.data[0].embedding;
@@ -110,23 +413,44 @@ class OpenAIEmbeddingProvider extends BaseEmbeddingProvider {
             throw error;
         }
     }
+
+    async getEmbeddingsBatch(texts) {
+        try {
+            const response = await this.openaiClient.post('/embeddings', {
+                model: this.model,
+                input: texts,
+                encoding_format: 'float',
+                ...(this.requestDimensions ? { dimensions: this.dimensions } : {})
+            });
+
+            return response.data.data
+                .sort((a, b) => a.index - b.index)
+                .map(item => item.embedding);
+
+        } catch (error) {
+            log.error('Error generating embeddings with OpenAI:', error);
+            throw error;
+        }
+    }
 }
 
 class OpenAIEmbedding3Provider extends OpenAIEmbeddingProvider {
     constructor({
         model = 'text-embedding-3-small',
-        dimensions = 1536
+        dimensions = 1536,
+        ...options
     } = {}) {
-        super({ model, dimensions });
+        super({ model, dimensions, ...options });
     }
 }
 
 class OpenAIEmbedding3LargeProvider extends OpenAIEmbeddingProvider {
     constructor({
         model = 'text-embedding-3-large',
-        dimensions = 3072
+        dimensions = 3072,
+        ...options
     } = {}) {
-        super({ model, dimensions });
+        super({ model, dimensions, ...options });
     }
 }
 
@@ -134,15 +458,29 @@ class OpenRouterEmbeddingProvider extends BaseEmbeddingProvider {
     constructor({
         model,
         dimensions,
-        apiKey = process.env.OPENROUTER_API_KEY
+        apiKey = process.env.OPENROUTER_API_KEY,
+        baseURL = 'https://openrouter.ai/api/v1',
+        inputTemplate = null,
+        timeout,
+        maxRetries,
+        retryDelay,
+        maxConcurrency
     } = {}) {
-        super({ model, dimensions });
+        super({ model, dimensions, inputTemplate });
+
+        // OpenRouter forwards dimensions to OpenAI's v3 models, which shorten their vectors on their side
+        this.requestDimensions = /^openai\/text-embedding-3/.test(model);
 
         this.openrouterClient = createJsonClient({
-            baseURL: 'https://openrouter.ai/api/v1',
+            baseURL,
             headers: {
                 'Authorization': `Bearer ${apiKey}`,
             },
+            provider: this.constructor.name,
+            timeout,
+            maxRetries,
+            retryDelay,
+            maxConcurrency,
         });
     }
 
@@ -151,7 +489,8 @@ class OpenRouterEmbeddingProvider extends BaseEmbeddingProvider {
             const response = await this.openrouterClient.post('/embeddings', {
                 model: this.model,
                 input: text,
-                encoding_format: 'float'
+                encoding_format: 'float',
+                ...(this.requestDimensions ? { dimensions: this.dimensions } : {})
             });
 
             const body = response.data;
@@ -165,50 +504,171 @@ class OpenRouterEmbeddingProvider extends BaseEmbeddingProvider {
             throw error;
         }
     }
+
+    async getEmbeddingsBatch(texts) {
+        try {
+            const response = await this.openrouterClient.post('/embeddings', {
+                model: this.model,
+                input: texts,
+                encoding_format: 'float',
+                ...(this.requestDimensions ? { dimensions: this.dimensions } : {})
+            });
+
+            const body = response.data;
+            if (!Array.isArray(body?.data) || body.data.length !== texts.length) {
+                const detail = body?.error?.message || JSON.stringify(body);
+                throw new Error(`Unexpected OpenRouter response for model ${this.model}: ${detail}`);
+            }
+            return body.data
+                .sort((a, b) => a.index - b.index)
+                .map(item => item.embedding);
+        } catch (error) {
+            log.error('Error generating embeddings with OpenRouter:', error);
+            throw error;
+        }
+    }
 }
 
 class QwenEmbeddingProvider extends OpenRouterEmbeddingProvider {
     constructor({
         model = 'qwen/qwen3-embedding-8b',
-        dimensions = 4096
+        dimensions = 4096,
+        inputTemplate = 'qwen3',
+        ...options
     } = {}) {
-        super({ model, dimensions });
+        super({ model, dimensions, inputTemplate, ...options });
     }
 }
 
 class BgeM3EmbeddingProvider extends OpenRouterEmbeddingProvider {
     constructor({
         model = 'baai/bge-m3',
-        dimensions = 1024
+        dimensions = 1024,
+        ...options
     } = {}) {
-        super({ model, dimensions });
+        super({ model, dimensions, ...options });
     }
 }
 
 class MultilingualE5LargeProvider extends OpenRouterEmbeddingProvider {
     constructor({
         model = 'intfloat/multilingual-e5-large',
-        dimensions = 1024
+        dimensions = 1024,
+        inputTemplate = 'e5',
+        ...options
     } = {}) {
-        super({ model, dimensions });
+        super({ model, dimensions, inputTemplate, ...options });
     }
 }
 
 class OpenAIEmbedding3SmallRouterProvider extends OpenRouterEmbeddingProvider {
     constructor({
         model = 'openai/text-embedding-3-small',
-        dimensions = 1536
+        dimensions = 1536,
+        ...options
     } = {}) {
-        super({ model, dimensions });
+        super({ model, dimensions, ...options });
     }
 }
 
 class OpenAIEmbedding3LargeRouterProvider extends OpenRouterEmbeddingProvider {
     constructor({
         model = 'openai/text-embedding-3-large',
-        dimensions = 3072
+        dimensions = 3072,
+        ...options
+    } = {}) {
+        super({ model, dimensions, ...options });
+    }
+}
+
+// Any server speaking the OpenAI /embeddings API: Ollama, LM Studio, vLLM, self-hosted gateways...
+class OpenAICompatibleEmbeddingProvider extends BaseEmbeddingProvider {
+    constructor({
+        baseURL,
+        apiKey,
+        headers = {},
+        model,
+        dimensions = null,
+        inputTemplate = null,
+        timeout,
+        maxRetries,
+        retryDelay,
+        maxConcurrency
     } = {}) {
-        super({ model, dimensions });
+        if (!baseURL) throw new Error('OpenAICompatibleEmbeddingProvider requires a baseURL');
+        if (!model) throw new Error('OpenAICompatibleEmbeddingProvider requires a model');
+
+        super({ model, dimensions, inputTemplate });
+        this.baseURL = baseURL;
+
+        this.client = createJsonClient({
+            baseURL,
+            headers: {
+                ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}),
+                ...headers,
+            },
+            provider: this.constructor.name,
+            timeout,
+            maxRetries,
+            retryDelay,
+            maxConcurrency,
+        });
+    }
+
+    // Without configured dimensions, one embedding request tells how many the model returns
+    async initialize() {
+        if (!this.dimensions) {
+            await this.getEmbeddings('dimension probe');
+            log.info(`Discovered ${this.dimensions} dimensions for model ${this.model} at ${this.baseURL}`);
+        }
+    }
+
+    async getEmbeddings(text) {
+        try {
+            const [embedding] = await this._embeddings(text, 1);
+            return embedding;
+        } catch (error) {
+            log.error(`Error generating embeddings with ${this.baseURL}:`, error);
+            throw error;
+        }
+    }
+
+    async getEmbeddingsBatch(texts) {
+        try {
+            return await this._embeddings(texts, texts.length);
+        } catch (error) {
+            log.error(`Error generating embeddings with ${this.baseURL}:`, error);
+            throw error;
+        }
+    }
+
+    async _embeddings(input, count) {
+        const response = await this.client.post('/embeddings', {
+            model: this.model,
+            input,
+            encoding_format: 'float'
+        });
+
+        const body = response.data;
+        if (!Array.isArray(body?.data) || body.data.length !== count || !Array.isArray(body.data[0]?.embedding)) {
+            const detail = body?.error?.message || JSON.stringify(body);
+            throw new Error(`Unexpected response from ${this.baseURL} for model ${this.model}: ${detail}`);
+        }
+
+        const embeddings = body.data
+            .sort((a, b) => (a.index ?? 0) - (b.index ?? 0))
+            .map(item => item.embedding);
+
+        const returned = embeddings[0].length;
+        if (!this.dimensions) {
+            this.dimensions = returned;
+        } else if (returned !== this.dimensions) {
+            throw new Error(
+                `Model ${this.model} at ${this.baseURL} returned ${returned} dimensions, but ${this.dimensions} are configured`
+            );
+        }
+
+        return embeddings;
     }
 }
 
@@ -218,9 +678,10 @@ class HuggingfaceProvider extends BaseEmbeddingProvider {
         model = 'Xenova/multilingual-e5-large',
         dimensions = 1024,
         dtype = 'q8',
-        pipelineOptions = {}
+        pipelineOptions = {},
+        inputTemplate = 'auto'
     } = {}) {
-        super({ model, dimensions });
+        super({ model, dimensions, inputTemplate });
         this.dtype = dtype;
         this.pipelineOptions = pipelineOptions;
         this.extractor = null;
@@ -276,17 +737,283 @@ class HuggingfaceProvider extends BaseEmbeddingProvider {
             throw error;
         }
     }
+
+    async getEmbeddingsBatch(texts) {
+        try {
+            await this.initialize();
+
+            if (!this.extractor) {
+                throw new Error('Hugging Face pipeline not initialized.');
+            }
+
+            const output = await this.extractor(texts, { pooling: 'mean', normalize: true });
+            const embeddingsList = output.tolist();
+
+            if (!Array.isArray(embeddingsList) || embeddingsList.length !== texts.length) {
+                log.error('Unexpected embedding output structure:', embeddingsList);
+                throw new Error('Failed to extract embeddings from Hugging Face pipeline output.');
+            }
+
+            return embeddingsList;
+        } catch (error) {
+            log.error('Error generating embeddings with Hugging Face:', error);
+            throw error;
+        }
+    }
+}
+
+// Vendor prefixes (openai/, intfloat/, Xenova/...) name who serves or packages a model, not the model itself
+function modelFamily(provider) {
+    return provider.family || String(provider.model).toLowerCase().split('/').pop();
+}
+
+// Tries providers in order. A provider that keeps failing is skipped for `cooldown` ms (circuit breaker).
+// Vectors from different models aren't comparable, so every provider must serve the same model family.
+class FallbackEmbeddingProvider extends BaseEmbeddingProvider {
+    constructor(providers, { failureThreshold = 1, cooldown = 30000 } = {}) {
+        if (!Array.isArray(providers) || providers.length === 0) {
+            throw new Error('FallbackEmbeddingProvider requires at least one provider');
+        }
+
+        const [primary] = providers;
+        super({ model: primary.model, dimensions: primary.dimensions });
+
+        this.providers = providers;
+        this.family = modelFamily(primary);
+        this.failureThreshold = failureThreshold;
+        this.cooldown = cooldown;
+        this._circuits = providers.map(provider => ({ provider, failures: 0, openUntil: 0 }));
+
+        this._checkCompatibility();
+    }
+
+    _checkCompatibility() {
+        const [primary, ...others] = this.providers;
+        for (const other of others) {
+            const reasons = [];
+            if (modelFamily(other) !== this.family) {
+                reasons.push(`model "${other.model}" is not "${primary.model}"`);
+            }
+            if (primary.dimensions && other.dimensions && other.dimensions !== primary.dimensions) {
+                reasons.push(`${other.dimensions} dimensions instead of ${primary.dimensions}`);
+            }
+            if (reasons.length === 0) continue;
+
+            const error = new Error(
+                `Cannot fall back from ${primary.model} to ${other.model}: ${reasons.join(', ')}. ` +
+                'Vectors from different models are not comparable. Set the same `family` on providers ' +
+                'that serve the same model under different names.'
+            );
+            error.code = 'SEEKMIX_INCOMPATIBLE_PROVIDERS';
+            throw error;
+        }
+    }
+
+    async initialize() {
+        let initialized = 0;
+        let lastError;
+
+        for (const circuit of this._circuits) {
+            if (typeof circuit.provider.initialize !== 'function') {
+                initialized++;
+                continue;
+            }
+            try {
+                await circuit.provider.initialize();
+                initialized++;
+            } catch (error) {
+                lastError = error;
+                this._recordFailure(circuit, error);
+            }
+        }
+
+        if (initialized === 0) throw lastError;
+
+        // Discovered dimensions are only known now
+        this.dimensions = this.providers.find(provider => provider.dimensions)?.dimensions ?? this.dimensions;
+        this._checkCompatibility();
+    }
+
+    // Every provider serves the same model, so the primary's template applies to all of them
+    formatInput(text, inputType = 'query') {
+        const [primary] = this.providers;
+        return typeof primary.formatInput === 'function' ? primary.formatInput(text, inputType) : text;
+    }
+
+    async getEmbeddings(text) {
+        return this._run(provider => provider.getEmbeddings(text));
+    }
+
+    async getEmbeddingsBatch(texts) {
+        return this._run(provider => (typeof provider.getEmbeddingsBatch === 'function'
+            ? provider.getEmbeddingsBatch(texts)
+            : BaseEmbeddingProvider.prototype.getEmbeddingsBatch.call(provider, texts)));
+    }
+
+    async _run(operation) {
+        const now = Date.now();
+        let circuits = this._circuits.filter(circuit => circuit.openUntil <= now);
+        // Every provider is cooling down: trying them anyway beats failing without a request
+        if (circuits.length === 0) circuits = this._circuits;
+
+        let lastError;
+        for (const circuit of circuits) {
+            try {
+                const result = await operation(circuit.provider);
+                circuit.failures = 0;
+                circuit.openUntil = 0;
+                return result;
+            } catch (error) {
+                lastError = error;
+                this._recordFailure(circuit, error);
+            }
+        }
+
+        throw lastError;
+    }
+
+    _recordFailure(circuit, error) {
+        circuit.failures++;
+        if (circuit.failures >= this.failureThreshold) {
+            circuit.openUntil = Date.now() + this.cooldown;
+            log.warn(`Embedding provider ${circuit.provider.model} failed (${error.message}); skipping it for ${this.cooldown}ms`);
+        }
+    }
+}
+
+// Eviction candidates first
+const EVICTION_ORDER = {
+    lru: 'last_accessed ASC, id ASC',
+    lfu: 'hit_count ASC, last_accessed ASC, id ASC',
+    oldest: 'timestamp ASC, id ASC',
+};
+
+// Version of the cache_<model> / vec_<model> layout, recorded per table pair in seekmix_meta
+const SCHEMA_VERSION = 8;
+
+// Forward migrations, applied in order to tables recorded with an older schema_version.
+// Tables created before seekmix_meta existed count as version 1, but may already have
+// some of these columns, so every step checks before altering.
+const MIGRATIONS = [
+    {
+        version: 2,
+        description: 'per-entry expiry',
+        up(cache, columns) {
+            if (columns.includes('expires_at')) return;
+            cache.db.exec(`ALTER TABLE "${cache._cacheTable}" ADD COLUMN expires_at INTEGER`);
+            // Entries stored before per-entry TTL existed inherit the global ttl
+            if (cache.options.ttl !== -1) {
+                cache.db.prepare(
+                    `UPDATE "${cache._cacheTable}" SET expires_at = timestamp + ?`
+                ).run(cache.options.ttl * 1000);
+            }
+        }
+    },
+    {
+        version: 3,
+        description: 'access tracking for eviction',
+        up(cache, columns) {
+            if (!columns.includes('last_accessed')) {
+                cache.db.exec(`ALTER TABLE "${cache._cacheTable}" ADD COLUMN last_accessed INTEGER`);
+                cache.db.exec(`UPDATE "${cache._cacheTable}" SET last_accessed = timestamp`);
+            }
+            if (!columns.includes('hit_count')) {
+                cache.db.exec(`ALTER TABLE "${cache._cacheTable}" ADD COLUMN hit_count INTEGER NOT NULL DEFAULT 0`);
+            }
+        }
+    },
+    {
+        version: 4,
+        description: 'hash-based keys',
+        up(cache) {
+            cache._rekey();
+        }
+    },
+    {
+        version: 5,
+        description: 'indexed tags',
+        up(cache) {
+            cache.db.exec(`
+                INSERT OR IGNORE INTO "${cache._tagTable}" (entry_id, tag)
+                SELECT c.id, t.value FROM "${cache._cacheTable}" c, json_each(c.tags) t
+            `);
+        }
+    },
+    {
+        version: 6,
+        description: 'namespaces',
+        up(cache, columns) {
+            if (!columns.includes('namespace')) {
+                cache.db.exec(`ALTER TABLE "${cache._cacheTable}" ADD COLUMN namespace TEXT NOT NULL DEFAULT ''`);
+            }
+            // The vector table is partitioned when it is rebuilt for version 8
+        }
+    },
+    {
+        version: 7,
+        description: 'full-precision vectors for rescoring',
+        up(cache, columns) {
+            if (!columns.includes('vector')) {
+                cache.db.exec(`ALTER TABLE "${cache._cacheTable}" ADD COLUMN vector BLOB`);
+            }
+        }
+    },
+    {
+        version: 8,
+        description: 'exact-match scopes',
+        up(cache, columns) {
+            if (!columns.includes('scope')) {
+                cache.db.exec(`ALTER TABLE "${cache._cacheTable}" ADD COLUMN scope TEXT NOT NULL DEFAULT ''`);
+            }
+            cache._rebuildVecTable();
+        }
+    },
+];
+
+// How vectors are stored in the vec0 table: SQL column type, bytes per dimension and the insert/match expression
+const QUANTIZATIONS = {
+    float: { column: 'float', bytes: 4, sql: '?' },
+    int8: { column: 'int8', bytes: 1, sql: `vec_quantize_int8(?, 'unit')` },
+    binary: { column: 'bit', bytes: 1 / 8, sql: 'vec_quantize_binary(?)' },
+};
+
+// Width of the buckets in the similarity histogram returned by stats()
+const HISTOGRAM_BUCKET = 0.05;
+
+// Bytes of a memoized embedding row, counted against maxBytes
+const EMBEDDING_BYTES = 'length(CAST(model AS BLOB)) + length(hash) + length(embedding) + 16';
+
+// What import() does with an entry whose key is already stored
+const IMPORT_CONFLICTS = ['overwrite', 'skip', 'newer'];
+
+// Suffix of the cache_/vec_/tags_ tables of a model
+function sanitizeModelName(model) {
+    return model.replace(/[^a-zA-Z0-9]/g, '_');
 }
 
-class SeekMix {
+class SeekMix extends EventEmitter {
     constructor({
         dbPath = 'seekmix.db',
         ttl = -1,
         similarityThreshold = 0.87,
         dropIndex = false,
         dropKeys = false,
+        embeddingCache = true,
+        embeddingCacheSize = 10000,
+        maxEntries = -1,
+        maxBytes = -1,
+        evictionPolicy = 'lru',
+        rebuildOnMismatch = false,
+        normalize = false,
+        sweepInterval = -1,
+        sweepBatchSize = 500,
+        namespace = '',
+        truncateDimensions = -1,
+        quantization = 'float',
+        rescore = 0,
         embeddingProvider = null
     } = {}) {
+        super();
         this.embeddingProvider = embeddingProvider || new HuggingfaceProvider();
 
         this.options = {
@@ -294,40 +1021,152 @@ class SeekMix {
             ttl,
             similarityThreshold,
             dropIndex,
-            dropKeys
+            dropKeys,
+            embeddingCache,
+            embeddingCacheSize,
+            maxEntries,
+            maxBytes,
+            evictionPolicy,
+            rebuildOnMismatch,
+            normalize,
+            sweepInterval,
+            sweepBatchSize,
+            namespace,
+            truncateDimensions,
+            quantization,
+            rescore
         };
 
+        this._normalizer = createNormalizer(normalize);
+        // Set by connect() for tables whose entries were embedded from the raw text
+        this._rawInput = false;
+
+        if (typeof namespace !== 'string') {
+            throw new TypeError('namespace must be a string');
+        }
+
+        if (!EVICTION_ORDER[evictionPolicy]) {
+            throw new Error(`Unknown eviction policy "${evictionPolicy}". Use one of: ${Object.keys(EVICTION_ORDER).join(', ')}`);
+        }
+
+        if (!QUANTIZATIONS[quantization]) {
+            throw new Error(`Unknown quantization "${quantization}". Use one of: ${Object.keys(QUANTIZATIONS).join(', ')}`);
+        }
+
+        // Fewer candidates than k would cut results short
+        if (rescore !== 0 && !(typeof rescore === 'number' && rescore >= 1 && Number.isFinite(rescore))) {
+            throw new TypeError(`rescore must be 0 or a number of at least 1, got ${JSON.stringify(rescore)}`);
+        }
+
         this.db = null;
         this._cacheTable = null;
         this._vecTable = null;
+        // bit[] columns only support hamming distance
+        this._distanceMetric = quantization === 'binary' ? 'hamming' : 'cosine';
+        this._inflight = [];
+        this._sweepTimer = null;
+        this._sweeping = null;
+        this._embeddingStats = { hits: 0, misses: 0 };
+        // { entries, bytes } of the cache table, measured on the first eviction check and kept up to date after
+        this._size = null;
+        // { size, bytes } of this model's memoized embeddings, tracked the same way
+        this._embeddingSize = null;
+        this._stats = {
+            hits: 0,
+            exactHits: 0,
+            misses: 0,
+            sets: 0,
+            evictions: 0,
+            expirations: 0,
+            errors: 0,
+            embeddingMs: 0,
+            embeddings: 0,
+            queryMs: 0,
+            histogram: new Array(Math.round(1 / HISTOGRAM_BUCKET)).fill(0),
+            namespaces: {},
+        };
     }
 
     _sanitizeModelName() {
-        return this.embeddingProvider.model.replace(/[^a-zA-Z0-9]/g, '_');
+        return sanitizeModelName(this.embeddingProvider.model);
+    }
+
+    // Dimensions of the stored vectors, after Matryoshka truncation
+    get _dimensions() {
+        const { truncateDimensions } = this.options;
+        return truncateDimensions > 0 ? truncateDimensions : this.embeddingProvider.dimensions;
+    }
+
+    // Full-precision copies are only needed to rescore quantized candidates
+    get _rescoring() {
+        return this.options.quantization !== 'float' && this.options.rescore > 0;
     }
 
     async connect() {
         try {
-            // Initialize HuggingfaceProvider if applicable
-            if (this.embeddingProvider instanceof HuggingfaceProvider) {
+            // Providers that load a model or discover their dimensions do it before the tables are created
+            if (typeof this.embeddingProvider.initialize === 'function') {
                 await this.embeddingProvider.initialize();
             }
 
+            const { truncateDimensions, quantization } = this.options;
+            if (truncateDimensions > this.embeddingProvider.dimensions) {
+                throw new Error(
+                    `truncateDimensions (${truncateDimensions}) exceeds the ${this.embeddingProvider.dimensions} dimensions ` +
+                    `of model ${this.embeddingProvider.model}`
+                );
+            }
+            if (quantization === 'binary' && this._dimensions % 8 !== 0) {
+                throw new Error(`Binary quantization needs a multiple of 8 dimensions, got ${this._dimensions}`);
+            }
+
             const modelSuffix = this._sanitizeModelName();
             this._cacheTable = `cache_${modelSuffix}`;
             this._vecTable = `vec_${modelSuffix}`;
+            this._tagTable = `tags_${modelSuffix}`;
 
             // Open SQLite database and load sqlite-vec extension
             this.db = new Database(this.options.dbPath);
+            this._size = null;
+            this._embeddingSize = null;
             sqliteVec.load(this.db);
 
-            // Drop tables if requested (full reset)
+            // Schema version, model and vector layout of every table pair in the file
+            this.db.exec(`
+                CREATE TABLE IF NOT EXISTS seekmix_meta (
+                    cache_table TEXT PRIMARY KEY,
+                    vec_table TEXT NOT NULL,
+                    model TEXT NOT NULL,
+                    dimensions INTEGER NOT NULL,
+                    distance_metric TEXT NOT NULL,
+                    schema_version INTEGER NOT NULL,
+                    normalization TEXT NOT NULL DEFAULT '',
+                    input_template TEXT NOT NULL DEFAULT '',
+                    quantization TEXT NOT NULL DEFAULT 'float',
+                    created_at INTEGER NOT NULL,
+                    updated_at INTEGER NOT NULL
+                )
+            `);
+
+            const metaColumns = this.db.prepare('PRAGMA table_info(seekmix_meta)').all().map(c => c.name);
+            if (!metaColumns.includes('normalization')) {
+                this.db.exec(`ALTER TABLE seekmix_meta ADD COLUMN normalization TEXT NOT NULL DEFAULT ''`);
+            }
+            if (!metaColumns.includes('input_template')) {
+                this.db.exec(`ALTER TABLE seekmix_meta ADD COLUMN input_template TEXT NOT NULL DEFAULT ''`);
+            }
+            if (!metaColumns.includes('quantization')) {
+                this.db.exec(`ALTER TABLE seekmix_meta ADD COLUMN quantization TEXT NOT NULL DEFAULT 'float'`);
+            }
+
+            // Drop tables if requested (full reset)
             if (this.options.dropIndex) {
-                this.db.exec(`DROP TABLE IF EXISTS "${this._vecTable}"`);
-                this.db.exec(`DROP TABLE IF EXISTS "${this._cacheTable}"`);
+                this._dropTables();
                 log.info(`Tables dropped for model ${this.embeddingProvider.model}`);
             }
 
+            const schemaVersion = this._checkSchema();
+
             // Create metadata table
             this.db.exec(`
                 CREATE TABLE IF NOT EXISTS "${this._cacheTable}" (
@@ -336,34 +1175,356 @@ class SeekMix {
                     query TEXT NOT NULL,
                     result TEXT NOT NULL,
                     timestamp INTEGER NOT NULL,
-                    tags TEXT NOT NULL DEFAULT '[]'
+                    tags TEXT NOT NULL DEFAULT '[]',
+                    expires_at INTEGER,
+                    last_accessed INTEGER,
+                    hit_count INTEGER NOT NULL DEFAULT 0,
+                    namespace TEXT NOT NULL DEFAULT '',
+                    vector BLOB,
+                    scope TEXT NOT NULL DEFAULT ''
                 )
             `);
 
-            // Create vector table with cosine distance metric
+            // One row per entry and tag, so tag filters run in SQL instead of over JSON
+            this.db.exec(`
+                CREATE TABLE IF NOT EXISTS "${this._tagTable}" (
+                    entry_id INTEGER NOT NULL,
+                    tag TEXT NOT NULL,
+                    PRIMARY KEY (tag, entry_id)
+                ) WITHOUT ROWID
+            `);
+            this.db.exec(`
+                CREATE INDEX IF NOT EXISTS "${this._tagTable}_entry_id"
+                ON "${this._tagTable}" (entry_id)
+            `);
+
+            this._migrate(schemaVersion);
+
+            this.db.exec(`
+                CREATE INDEX IF NOT EXISTS "${this._cacheTable}_last_accessed"
+                ON "${this._cacheTable}" (last_accessed)
+            `);
+            this.db.exec(`
+                CREATE INDEX IF NOT EXISTS "${this._cacheTable}_hit_count"
+                ON "${this._cacheTable}" (hit_count, last_accessed)
+            `);
+            this.db.exec(`
+                CREATE INDEX IF NOT EXISTS "${this._cacheTable}_timestamp"
+                ON "${this._cacheTable}" (timestamp)
+            `);
+            this.db.exec(`
+                CREATE INDEX IF NOT EXISTS "${this._cacheTable}_expires_at"
+                ON "${this._cacheTable}" (expires_at)
+            `);
+            this.db.exec(`
+                CREATE INDEX IF NOT EXISTS "${this._cacheTable}_namespace"
+                ON "${this._cacheTable}" (namespace)
+            `);
+            this.db.exec(`
+                CREATE INDEX IF NOT EXISTS "${this._cacheTable}_scope"
+                ON "${this._cacheTable}" (namespace, scope)
+            `);
+
+            this._createVecTable();
+
+            this._syncNormalization();
+            this._writeMeta();
+
+            // Embeddings memoized across runs, shared by every model in the database
             this.db.exec(`
-                CREATE VIRTUAL TABLE IF NOT EXISTS "${this._vecTable}" USING vec0(
-                    embedding float[${this.embeddingProvider.dimensions}] distance_metric=cosine
+                CREATE TABLE IF NOT EXISTS seekmix_embeddings (
+                    model TEXT NOT NULL,
+                    dimensions INTEGER NOT NULL,
+                    hash TEXT NOT NULL,
+                    embedding BLOB NOT NULL,
+                    timestamp INTEGER NOT NULL,
+                    PRIMARY KEY (model, dimensions, hash)
                 )
             `);
+            this.db.exec(`
+                CREATE INDEX IF NOT EXISTS seekmix_embeddings_timestamp
+                ON seekmix_embeddings (model, dimensions, timestamp)
+            `);
+
+            if (this.options.dropIndex) {
+                this.db.prepare('DELETE FROM seekmix_embeddings WHERE model = ?').run(this.embeddingProvider.model);
+            }
 
             // Delete all entries if requested (only when tables weren't just recreated)
             if (this.options.dropKeys && !this.options.dropIndex) {
                 this._dropKeys();
             }
 
+            this._startSweeper();
+
             log.info(`SQLite database initialized at ${this.options.dbPath} for model ${this.embeddingProvider.model}`);
             return true;
         } catch (error) {
             log.error('Error initializing SQLite database:', error);
+            if (this.db) {
+                this.db.close();
+                this.db = null;
+            }
+            throw error;
+        }
+    }
+
+    // Vector table partitioned by namespace so a search only scans one namespace,
+    // with the scope hash as a metadata column the KNN filters on
+    _createVecTable() {
+        const { column } = QUANTIZATIONS[this.options.quantization];
+        const metric = this._distanceMetric === 'hamming' ? '' : ` distance_metric=${this._distanceMetric}`;
+        this.db.exec(`
+            CREATE VIRTUAL TABLE IF NOT EXISTS "${this._vecTable}" USING vec0(
+                namespace text partition key,
+                scope text,
+                embedding ${column}[${this._dimensions}]${metric}
+            )
+        `);
+    }
+
+    // vec0 tables can't be altered or renamed, so vectors are copied out and back into a new table
+    _rebuildVecTable() {
+        const vecSql = this._tableSql(this._vecTable);
+        if (!vecSql || vecSql.includes('scope text')) return;
+
+        this.db.exec('DROP TABLE IF EXISTS temp.seekmix_vectors');
+        this.db.exec(`CREATE TEMP TABLE seekmix_vectors AS SELECT rowid AS id, embedding FROM "${this._vecTable}"`);
+        this.db.exec(`DROP TABLE "${this._vecTable}"`);
+        this._createVecTable();
+        this.db.exec(`
+            INSERT INTO "${this._vecTable}" (rowid, namespace, scope, embedding)
+            SELECT v.id, c.namespace, c.scope, v.embedding
+            FROM temp.seekmix_vectors v
+            JOIN "${this._cacheTable}" c ON c.id = v.id
+        `);
+        this.db.exec('DROP TABLE temp.seekmix_vectors');
+    }
+
+    _dropTables() {
+        this.db.exec(`DROP TABLE IF EXISTS "${this._vecTable}"`);
+        this.db.exec(`DROP TABLE IF EXISTS "${this._tagTable}"`);
+        this.db.exec(`DROP TABLE IF EXISTS "${this._cacheTable}"`);
+        this.db.prepare('DELETE FROM seekmix_meta WHERE cache_table = ?').run(this._cacheTable);
+        this._size = null;
+    }
+
+    _tableSql(name) {
+        const row = this.db.prepare('SELECT sql FROM sqlite_master WHERE name = ?').get(name);
+        return row ? row.sql : null;
+    }
+
+    // Returns the schema version the existing tables are at (SCHEMA_VERSION for new tables)
+    _checkSchema() {
+        this._rawInput = false;
+        let meta = this.db.prepare('SELECT * FROM seekmix_meta WHERE cache_table = ?').get(this._cacheTable);
+        const vecSql = this._tableSql(this._vecTable);
+
+        // Tables created before seekmix_meta existed: read the layout from the vec0 definition
+        if (!meta && vecSql) {
+            const dimensions = vecSql.match(/\[(\d+)\]/);
+            const metric = vecSql.match(/distance_metric=(\w+)/);
+            meta = {
+                model: null,
+                dimensions: dimensions ? Number(dimensions[1]) : null,
+                distance_metric: metric ? metric[1] : 'l2',
+                quantization: 'float',
+                input_template: '',
+                schema_version: 1,
+            };
+        }
+
+        if (!meta) {
+            return this._tableSql(this._cacheTable) ? 1 : SCHEMA_VERSION;
+        }
+
+        if (meta.schema_version > SCHEMA_VERSION) {
+            const error = new Error(
+                `Table ${this._cacheTable} uses schema version ${meta.schema_version}, but this version of SeekMix ` +
+                `only supports up to ${SCHEMA_VERSION}. Upgrade SeekMix to open this database.`
+            );
+            error.code = 'SEEKMIX_SCHEMA_TOO_NEW';
             throw error;
         }
+
+        const { model } = this.embeddingProvider;
+        const dimensions = this._dimensions;
+        const { quantization } = this.options;
+        const mismatches = [];
+        if (meta.model !== null && meta.model !== model) {
+            mismatches.push(`model "${meta.model}" (configured: "${model}")`);
+        }
+        if (meta.dimensions !== dimensions) {
+            mismatches.push(`${meta.dimensions} dimensions (configured: ${dimensions})`);
+        }
+        if (meta.distance_metric !== this._distanceMetric) {
+            mismatches.push(`${meta.distance_metric} distance (configured: ${this._distanceMetric})`);
+        }
+        if (meta.quantization !== quantization) {
+            mismatches.push(`${meta.quantization} vectors (configured: ${quantization})`);
+        }
+        // Empty tables can take any template. Tables without a recorded one were embedded from the raw text,
+        // and keep being embedded that way so upgrading doesn't strand their entries.
+        const inputTemplate = this._inputTemplateSignature();
+        let rawInput = false;
+        if (meta.input_template !== inputTemplate && this._tableSql(this._cacheTable)
+            && this.db.prepare(`SELECT 1 FROM "${this._cacheTable}" LIMIT 1`).get()) {
+            if (meta.input_template) {
+                mismatches.push(`input template ${meta.input_template} (configured: ${inputTemplate || 'none'})`);
+            } else {
+                rawInput = true;
+            }
+        }
+
+        if (mismatches.length === 0) {
+            if (rawInput) {
+                log.warn(
+                    `Entries in ${this._cacheTable} were embedded without an input template, so it is not applied to them. ` +
+                    'Recreate the tables (dropIndex: true) or empty them (dropKeys: true) to start using it.'
+                );
+                this._rawInput = true;
+            }
+            return meta.schema_version;
+        }
+
+        const detail = `Tables ${this._cacheTable}/${this._vecTable} in ${this.options.dbPath} were created for ${mismatches.join(', ')}`;
+
+        if (this.options.rebuildOnMismatch) {
+            log.warn(`${detail}. Rebuilding them; all their entries are lost.`);
+            this._dropTables();
+            return SCHEMA_VERSION;
+        }
+
+        const error = new Error(
+            `${detail}. Use another dbPath, or pass dropIndex: true or rebuildOnMismatch: true to recreate them.`
+        );
+        error.code = 'SEEKMIX_SCHEMA_MISMATCH';
+        error.stored = {
+            model: meta.model,
+            dimensions: meta.dimensions,
+            distanceMetric: meta.distance_metric,
+            quantization: meta.quantization,
+            inputTemplate: meta.input_template,
+        };
+        error.configured = { model, dimensions, distanceMetric: this._distanceMetric, quantization, inputTemplate };
+        throw error;
+    }
+
+    _migrate(fromVersion) {
+        const pending = MIGRATIONS.filter(migration => migration.version > fromVersion);
+        if (pending.length === 0) return;
+
+        const run = this.db.transaction(() => {
+            for (const migration of pending) {
+                const columns = this.db.prepare(`PRAGMA table_info("${this._cacheTable}")`).all().map(c => c.name);
+                migration.up(this, columns);
+                log.info(`Migrated ${this._cacheTable} to schema version ${migration.version} (${migration.description})`);
+            }
+        });
+
+        run();
+    }
+
+    // Keys depend on the normalize pipeline: recompute them when it changed since the last connect
+    _syncNormalization() {
+        const meta = this.db.prepare(
+            'SELECT normalization FROM seekmix_meta WHERE cache_table = ?'
+        ).get(this._cacheTable);
+
+        if (!meta || meta.normalization === this._normalizer.signature) return;
+
+        const merged = this._rekey();
+        log.info(`Normalization changed for ${this._cacheTable}: keys recomputed, ${merged} duplicate entries removed`);
+    }
+
+    // Recomputes every key from the stored query. Entries whose queries now share a key
+    // keep only the most recent one. Returns how many duplicates were removed.
+    _rekey() {
+        const rekey = this.db.transaction(() => {
+            // Temporary keys first, so a new key never clashes with an old one still in place
+            this.db.exec(`UPDATE "${this._cacheTable}" SET key = 'rekey:' || id`);
+
+            // Tables older than schema version 4 are rekeyed before they get their namespace and scope columns
+            const columns = this.db.prepare(`PRAGMA table_info("${this._cacheTable}")`).all().map(c => c.name);
+            const column = name => (columns.includes(name) ? name : `'' AS ${name}`);
+
+            const update = this.db.prepare(`UPDATE "${this._cacheTable}" SET key = ? WHERE id = ?`);
+            const rows = this.db.prepare(`
+                SELECT id, query, ${column('namespace')}, ${column('scope')}
+                FROM "${this._cacheTable}" ORDER BY timestamp DESC, id DESC
+            `).all();
+
+            const seen = new Set();
+            const duplicates = [];
+            for (const row of rows) {
+                const key = this._generateKey(row.query, row.namespace, row.scope);
+                if (seen.has(key)) {
+                    duplicates.push(row.id);
+                    continue;
+                }
+                seen.add(key);
+                update.run(key, row.id);
+            }
+
+            return this._deleteIds(duplicates);
+        });
+
+        return rekey();
+    }
+
+    _writeMeta() {
+        const now = Date.now();
+        this.db.prepare(`
+            INSERT INTO seekmix_meta (
+                cache_table, vec_table, model, dimensions, distance_metric, schema_version, normalization,
+                input_template, quantization, created_at, updated_at
+            )
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT (cache_table) DO UPDATE SET
+                vec_table = excluded.vec_table,
+                model = excluded.model,
+                dimensions = excluded.dimensions,
+                distance_metric = excluded.distance_metric,
+                schema_version = excluded.schema_version,
+                normalization = excluded.normalization,
+                input_template = excluded.input_template,
+                quantization = excluded.quantization,
+                updated_at = excluded.updated_at
+        `).run(
+            this._cacheTable,
+            this._vecTable,
+            this.embeddingProvider.model,
+            this._dimensions,
+            this._distanceMetric,
+            SCHEMA_VERSION,
+            this._normalizer.signature,
+            this._inputTemplateSignature(),
+            this.options.quantization,
+            now,
+            now
+        );
+    }
+
+    // How the provider formats both sides, with a placeholder for the text ('' when it doesn't)
+    _inputTemplateSignature() {
+        const query = this._formatInput('{text}', 'query');
+        const passage = this._formatInput('{text}', 'passage');
+        return query === '{text}' && passage === '{text}' ? '' : JSON.stringify({ query, passage });
     }
 
     _dropKeys() {
         try {
             this.db.exec(`DELETE FROM "${this._cacheTable}"`);
             this.db.exec(`DELETE FROM "${this._vecTable}"`);
+            this.db.exec(`DELETE FROM "${this._tagTable}"`);
+            this.db.prepare('DELETE FROM seekmix_embeddings WHERE model = ?').run(this.embeddingProvider.model);
+            this._size = null;
+            this._embeddingSize = null;
+            // With no entries left, the provider's input template applies from now on
+            if (this._rawInput) {
+                this._rawInput = false;
+                this._writeMeta();
+            }
             log.info('All cache entries deleted');
         } catch (error) {
             log.error('Error deleting entries:', error);
@@ -375,166 +1536,1771 @@ class SeekMix {
     }
 
     async disconnect() {
+        if (this._sweepTimer) {
+            clearInterval(this._sweepTimer);
+            this._sweepTimer = null;
+        }
+        // Let a running sweep finish its current batch before the handle goes away
+        if (this._sweeping) {
+            await this._sweeping;
+        }
+
         if (this.db) {
             this.db.close();
             this.db = null;
         }
     }
 
-    async set(query, result, { tags = [] } = {}) {
+    async set(query, result, { tags = [], ttl = this.options.ttl, namespace = this.options.namespace, scope } = {}) {
+        const scopeHash = hashScope(scope);
         try {
-            const vector = await this.embeddingProvider.getEmbeddings(query);
-            const timestamp = Date.now();
-            const key = this._generateKey(query);
-            const resultStr = JSON.stringify(result);
-            const tagsStr = JSON.stringify([...tags].sort());
+            const started = performance.now();
+            const vector = await this._embed(query, 'passage');
+            const embeddingMs = performance.now() - started;
+
+            this._store(query, vector, result, { tags, ttl, namespace, scopeHash, embeddingMs });
+            return true;
+        } catch (error) {
+            log.error('Error saving to cache:', error);
+            this._emitError(error, 'set');
+            throw error;
+        }
+    }
 
-            const upsert = this.db.transaction(() => {
-                // Remove existing entry with same key if present
-                const existing = this.db.prepare(
-                    `SELECT id FROM "${this._cacheTable}" WHERE key = ?`
-                ).get(key);
+    _store(query, vector, result, {
+        tags = [],
+        ttl = this.options.ttl,
+        namespace = this.options.namespace,
+        scopeHash = '',
+        embeddingMs = null,
+        // Migrated entries keep their original timestamps and hit count
+        timestamp = Date.now(),
+        expiresAt = ttl === -1 ? null : timestamp + ttl * 1000,
+        lastAccessed = timestamp,
+        hitCount = 0
+    } = {}) {
+        const key = this._generateKey(query, namespace, scopeHash);
+        const resultStr = JSON.stringify(result);
+        const tagsStr = JSON.stringify([...tags].sort());
+
+        const upsert = this._transaction(() => {
+            // Remove existing entry with same key if present
+            const existing = this.db.prepare(
+                `SELECT id FROM "${this._cacheTable}" WHERE key = ?`
+            ).get(key);
+
+            if (existing) {
+                this._deleteIds([existing.id]);
+            }
 
-                if (existing) {
-                    this.db.prepare(`DELETE FROM "${this._vecTable}" WHERE rowid = ?`).run(existing.id);
-                    this.db.prepare(`DELETE FROM "${this._cacheTable}" WHERE id = ?`).run(existing.id);
-                }
+            // Insert metadata
+            const info = this.db.prepare(`
+                INSERT INTO "${this._cacheTable}" (
+                    key, query, result, timestamp, tags, expires_at, last_accessed, hit_count, namespace, vector, scope
+                )
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `).run(
+                key, query, resultStr, timestamp, tagsStr, expiresAt, lastAccessed, hitCount, namespace,
+                this._rescoring ? Buffer.from(new Float32Array(vector).buffer) : null, scopeHash
+            );
+
+            const rowId = info.lastInsertRowid;
+            if (this._size) {
+                this._size.entries++;
+                this._size.bytes += this._entryBytes(rowId);
+            }
+
+            // Insert vector (rowid must match the cache entry id)
+            this.db.prepare(`
+                INSERT INTO "${this._vecTable}" (rowid, namespace, scope, embedding)
+                VALUES (?, ?, ?, ${QUANTIZATIONS[this.options.quantization].sql})
+            `).run(BigInt(rowId), namespace, scopeHash, new Float32Array(vector));
+
+            const insertTag = this.db.prepare(
+                `INSERT OR IGNORE INTO "${this._tagTable}" (entry_id, tag) VALUES (?, ?)`
+            );
+            for (const tag of tags) {
+                insertTag.run(rowId, tag);
+            }
+
+            this._evict(rowId);
+        });
+
+        upsert();
+
+        this._stats.sets++;
+        this._namespaceStats(namespace).sets++;
+        this.emit('set', { query, namespace, tags: [...tags].sort(), expiresAt, embeddingMs });
+    }
 
-                // Insert metadata
-                const info = this.db.prepare(`
-                    INSERT INTO "${this._cacheTable}" (key, query, result, timestamp, tags)
-                    VALUES (?, ?, ?, ?, ?)
-                `).run(key, query, resultStr, timestamp, tagsStr);
+    async get(query, { tags = [], namespace = this.options.namespace, scope } = {}) {
+        // An invalid scope is a caller bug, not a miss
+        const scopeHash = hashScope(scope);
+        try {
+            const started = performance.now();
+
+            // Exact match on the key needs no embedding at all
+            const exact = this._exactLookup(query, { tags, namespace, scopeHash });
+            if (exact) {
+                this._recordLookup(query, exact, { exact: true, namespace, queryMs: performance.now() - started });
+                return exact;
+            }
+
+            const embeddingStarted = performance.now();
+            const vector = await this._embed(query);
+            const embeddingMs = performance.now() - embeddingStarted;
 
-                const rowId = info.lastInsertRowid;
+            const { hit, nearest } = this._lookup(vector, { tags, namespace, scopeHash });
+            const queryMs = performance.now() - started - embeddingMs;
+            this._recordLookup(query, hit, { nearest, namespace, embeddingMs, queryMs });
+            return hit;
+        } catch (error) {
+            log.error('Error searching in cache:', error);
+            this._emitError(error, 'get');
+            return null;
+        }
+    }
 
-                // Insert vector (rowid must match the cache entry id)
-                this.db.prepare(`
-                    INSERT INTO "${this._vecTable}" (rowid, embedding)
-                    VALUES (?, ?)
-                `).run(BigInt(rowId), new Float32Array(vector));
+    async setMany(entries, { batchSize = 100, namespace = this.options.namespace } = {}) {
+        const scopeHashes = entries.map(entry => hashScope(entry.scope));
+        try {
+            const started = performance.now();
+            const vectors = await this._embedMany(entries.map(entry => entry.query), { batchSize, inputType: 'passage' });
+            const embeddingMs = (performance.now() - started) / Math.max(entries.length, 1);
+
+            const storeAll = this._transaction(() => {
+                entries.forEach(({ query, result, tags = [], ttl = this.options.ttl }, i) => {
+                    this._store(query, vectors[i], result, {
+                        tags,
+                        ttl,
+                        namespace,
+                        scopeHash: scopeHashes[i],
+                        embeddingMs
+                    });
+                });
             });
 
-            upsert();
-            return true;
+            storeAll();
+            return entries.length;
         } catch (error) {
             log.error('Error saving to cache:', error);
+            this._emitError(error, 'setMany');
             throw error;
         }
     }
 
-    async get(query, { tags = [] } = {}) {
+    async getMany(queries, { tags = [], batchSize = 100, namespace = this.options.namespace, scope } = {}) {
+        const scopeHash = hashScope(scope);
         try {
-            // Backward compatible tags filter:
-            // - tags: []  -> includeTags
-            // - tags: { in: [], out: [] } -> includeTags/excludeTags
-            const { includeTags, excludeTags } = (() => {
-                if (Array.isArray(tags)) {
-                    return { includeTags: tags, excludeTags: [] };
+            const exactHits = queries.map((query) => {
+                const started = performance.now();
+                const exact = this._exactLookup(query, { tags, namespace, scopeHash });
+                if (exact) {
+                    this._recordLookup(query, exact, { exact: true, namespace, queryMs: performance.now() - started });
                 }
-                if (tags && typeof tags === 'object') {
-                    const inTags = Array.isArray(tags.in) ? tags.in : [];
-                    const outTags = Array.isArray(tags.out) ? tags.out : [];
-                    return { includeTags: inTags, excludeTags: outTags };
-                }
-                return { includeTags: [], excludeTags: [] };
-            })();
+                return exact;
+            });
 
-            const vector = await this.embeddingProvider.getEmbeddings(query);
-            const hasTagFilters = includeTags.length > 0 || excludeTags.length > 0;
-            const k = hasTagFilters ? 50 : 1;
+            const pending = queries.filter((query, i) => !exactHits[i]);
+            const embeddingStarted = performance.now();
+            const vectors = await this._embedMany(pending, { batchSize });
+            const embeddingMs = (performance.now() - embeddingStarted) / Math.max(pending.length, 1);
+
+            let next = 0;
+            return exactHits.map((exact, i) => {
+                if (exact) return exact;
+
+                const started = performance.now();
+                const { hit, nearest } = this._lookup(vectors[next++], { tags, namespace, scopeHash });
+                this._recordLookup(queries[i], hit, {
+                    nearest,
+                    namespace,
+                    embeddingMs,
+                    queryMs: performance.now() - started
+                });
+                return hit;
+            });
+        } catch (error) {
+            log.error('Error searching in cache:', error);
+            this._emitError(error, 'getMany');
+            return queries.map(() => null);
+        }
+    }
 
-            // KNN search using sqlite-vec + join with cache table
-            const rows = this.db.prepare(`
-                WITH knn AS (
-                    SELECT rowid, distance
-                    FROM "${this._vecTable}"
-                    WHERE embedding MATCH ?
-                      AND k = ${k}
-                    ORDER BY distance
-                )
-                SELECT knn.rowid, knn.distance, c.query, c.result, c.timestamp, c.tags
-                FROM knn
-                LEFT JOIN "${this._cacheTable}" c ON c.id = knn.rowid
-                ORDER BY knn.distance
-            `).all(new Float32Array(vector));
+    _exactLookup(query, { tags = [], namespace = this.options.namespace, scopeHash = '' } = {}) {
+        const row = this.db.prepare(`
+            SELECT id, query, result, timestamp, tags, expires_at
+            FROM "${this._cacheTable}"
+            WHERE key = ? AND namespace = ? AND scope = ?
+        `).get(this._generateKey(query, namespace, scopeHash), namespace, scopeHash);
 
-            for (const row of rows) {
-                // Stop if beyond similarity threshold
-                if (row.distance > (1 - this.options.similarityThreshold)) break;
-                if (!row.query) continue; // Skip if no cache entry found
-
-                // Check TTL expiration
-                if (this.options.ttl !== -1) {
-                    const ageInSeconds = (Date.now() - row.timestamp) / 1000;
-                    if (ageInSeconds > this.options.ttl) {
-                        // Expired entry — remove and continue searching
-                        this.db.prepare(`DELETE FROM "${this._cacheTable}" WHERE id = ?`).run(row.rowid);
-                        this.db.prepare(`DELETE FROM "${this._vecTable}" WHERE rowid = ?`).run(row.rowid);
-                        continue;
-                    }
-                }
+        if (!row) return null;
 
-                const entryTags = row.tags ? JSON.parse(row.tags) : [];
+        if (row.expires_at !== null && row.expires_at <= Date.now()) {
+            this._expire([row]);
+            return null;
+        }
 
-                // Check tags:
-                // - includeTags: all requested tags must be present (AND logic)
-                // - excludeTags: none of the excluded tags may be present
-                if (includeTags.length > 0 && !includeTags.every(tag => entryTags.includes(tag))) {
-                    continue;
-                }
-                if (excludeTags.length > 0 && excludeTags.some(tag => entryTags.includes(tag))) {
-                    continue;
-                }
+        const entryTags = JSON.parse(row.tags);
+        if (!matchesTags(entryTags, parseTagFilter(tags))) return null;
 
-                return {
-                    query: row.query,
-                    result: JSON.parse(row.result),
-                    timestamp: row.timestamp,
-                    score: row.distance,
-                    tags: entryTags,
-                };
-            }
+        this._touch(row.id);
 
-            return null;
-        } catch (error) {
-            log.error('Error searching in cache:', error);
-            return null;
+        return {
+            query: row.query,
+            result: JSON.parse(row.result),
+            timestamp: row.timestamp,
+            score: 0,
+            similarity: 1,
+            tags: entryTags,
+        };
+    }
+
+    _lookup(vector, { tags = [], namespace = this.options.namespace, scopeHash = '' } = {}) {
+        // No threshold on the KNN so the nearest similarity is known even on a miss
+        const [match] = this._knn(vector, { k: 1, tags, namespace, scopeHash, threshold: null });
+        if (!match) return { hit: null, nearest: null };
+
+        if (match.score > (1 - this.options.similarityThreshold)) {
+            return { hit: null, nearest: match.similarity };
         }
+
+        const { id, ...hit } = match;
+        this._touch(id);
+        return { hit, nearest: hit.similarity };
     }
 
-    async invalidateOld(maxAgeInSeconds) {
-        try {
-            const cutoffTime = Date.now() - (maxAgeInSeconds * 1000);
+    _recordLookup(query, hit, {
+        exact = false,
+        nearest = null,
+        namespace = this.options.namespace,
+        embeddingMs = 0,
+        queryMs = 0
+    } = {}) {
+        const stats = this._stats;
+        const namespaceStats = this._namespaceStats(namespace);
+        stats.queryMs += queryMs;
 
-            const oldEntries = this.db.prepare(`
-                SELECT id FROM "${this._cacheTable}" WHERE timestamp < ?
-            `).all(cutoffTime);
+        if (!exact) {
+            stats.embeddingMs += embeddingMs;
+            stats.embeddings++;
+        }
 
-            if (oldEntries.length > 0) {
-                const purge = this.db.transaction((entries) => {
-                    const deleteCache = this.db.prepare(`DELETE FROM "${this._cacheTable}" WHERE id = ?`);
-                    const deleteVec = this.db.prepare(`DELETE FROM "${this._vecTable}" WHERE rowid = ?`);
+        if (nearest !== null) {
+            const bucket = Math.floor(Math.max(0, nearest) / HISTOGRAM_BUCKET);
+            stats.histogram[Math.min(bucket, stats.histogram.length - 1)]++;
+        }
 
-                    for (const entry of entries) {
-                        deleteCache.run(entry.id);
-                        deleteVec.run(entry.id);
-                    }
-                });
+        if (hit) {
+            stats.hits++;
+            namespaceStats.hits++;
+            if (exact) stats.exactHits++;
+            this.emit('hit', {
+                query,
+                namespace,
+                matchedQuery: hit.query,
+                score: hit.score,
+                similarity: hit.similarity,
+                tags: hit.tags,
+                exact,
+                embeddingMs: exact ? 0 : embeddingMs,
+                queryMs,
+            });
+        } else {
+            stats.misses++;
+            namespaceStats.misses++;
+            this.emit('miss', { query, namespace, similarity: nearest, embeddingMs, queryMs });
+        }
+    }
+
+    _namespaceStats(namespace) {
+        if (!this._stats.namespaces[namespace]) {
+            this._stats.namespaces[namespace] = { hits: 0, misses: 0, sets: 0 };
+        }
+        return this._stats.namespaces[namespace];
+    }
+
+    _emitError(error, operation) {
+        this._stats.errors++;
+        // An 'error' event without listeners would throw, so only emit when someone listens
+        if (this.listenerCount('error') > 0) {
+            this.emit('error', error, { operation });
+        }
+    }
+
+    _expire(rows) {
+        const removed = this._deleteIds(rows.map(row => row.id));
+        this._stats.expirations += removed;
+        for (const row of rows) {
+            this.emit('expire', { query: row.query, expiresAt: row.expires_at });
+        }
+        return removed;
+    }
+
+    // Bookkeeping for the LRU/LFU eviction policies
+    _touch(id) {
+        this.db.prepare(`
+            UPDATE "${this._cacheTable}" SET last_accessed = ?, hit_count = hit_count + 1 WHERE id = ?
+        `).run(Date.now(), id);
+    }
+
+    // SQL for the bytes an entry takes in the cache and vector tables
+    _entryBytesSql() {
+        const vectorBytes = Math.ceil(this._dimensions * QUANTIZATIONS[this.options.quantization].bytes);
+        return `length(CAST(key AS BLOB)) + length(CAST(query AS BLOB))
+            + length(CAST(result AS BLOB)) + length(CAST(tags AS BLOB)) + coalesce(length(vector), 0) + ${vectorBytes}`;
+    }
+
+    // Bytes of one entry, or null when it doesn't exist
+    _entryBytes(id) {
+        const row = this.db.prepare(`SELECT ${this._entryBytesSql()} AS bytes FROM "${this._cacheTable}" WHERE id = ?`).get(id);
+        return row ? row.bytes : null;
+    }
 
-                purge(oldEntries);
+    // Running entry count and size, so limits are checked without scanning the cache table on every write
+    _sizeTotals() {
+        if (!this._size) {
+            this._size = this.db.prepare(`
+                SELECT count(*) AS entries, coalesce(sum(${this._entryBytesSql()}), 0) AS bytes FROM "${this._cacheTable}"
+            `).get();
+        }
+        return this._size;
+    }
+
+    // db.transaction() that forgets the running sizes when it rolls back, so they're measured again
+    _transaction(fn) {
+        const run = this.db.transaction(fn);
+        return (...args) => {
+            try {
+                return run(...args);
+            } catch (error) {
+                this._size = null;
+                this._embeddingSize = null;
+                throw error;
             }
+        };
+    }
+
+    _evict(keepId) {
+        const { maxEntries, maxBytes, evictionPolicy } = this.options;
+        if (maxEntries === -1 && maxBytes === -1) return 0;
+
+        const entryBytes = this._entryBytesSql();
+        const totals = this._sizeTotals();
+
+        let { entries } = totals;
+        let bytes = totals.bytes + (maxBytes === -1 ? 0 : this._embeddingTotals().bytes);
+        const overLimit = () => (maxEntries !== -1 && entries > maxEntries) || (maxBytes !== -1 && bytes > maxBytes);
+        if (!overLimit()) return 0;
+
+        // Memoized embeddings are cheaper to lose than entries
+        if (maxBytes !== -1 && bytes > maxBytes) {
+            bytes -= this._trimEmbeddings(bytes - maxBytes);
+            if (!overLimit()) return 0;
+        }
+
+        // The entry just written is never its own eviction victim
+        const candidates = this.db.prepare(`
+            SELECT id, query, ${entryBytes} AS bytes
+            FROM "${this._cacheTable}"
+            WHERE id != ?
+            ORDER BY ${EVICTION_ORDER[evictionPolicy]}
+        `).iterate(keepId);
+
+        const evicted = [];
+        for (const candidate of candidates) {
+            if (!overLimit()) break;
+            evicted.push(candidate);
+            entries--;
+            bytes -= candidate.bytes;
+        }
+
+        const removed = this._deleteIds(evicted.map(candidate => candidate.id));
+        this._stats.evictions += removed;
+        for (const candidate of evicted) {
+            this.emit('evict', { query: candidate.query, policy: evictionPolicy });
+        }
+        return removed;
+    }
 
-            return oldEntries.length;
+    async search(query, {
+        k = 5,
+        threshold = this.options.similarityThreshold,
+        tags = [],
+        namespace = this.options.namespace,
+        scope
+    } = {}) {
+        if (!Number.isInteger(k) || k < 1) {
+            throw new TypeError(`k must be a positive integer, got ${JSON.stringify(k)}`);
+        }
+        const scopeHash = hashScope(scope);
+        try {
+            const vector = await this._embed(query);
+            return this._knn(vector, { k, threshold, tags, namespace, scopeHash }).map(({ id, ...hit }) => hit);
         } catch (error) {
-            log.error('Error invalidating old cache:', error);
+            log.error('Error searching in cache:', error);
+            this._emitError(error, 'search');
             throw error;
         }
     }
 
-    _generateKey(text) {
-        return Buffer.from(text).toString('base64').substring(0, 32);
+    _knn(vector, {
+        k,
+        threshold = this.options.similarityThreshold,
+        tags = [],
+        namespace = this.options.namespace,
+        scopeHash = ''
+    }) {
+        // Tag and expiry filters restrict the rowids the KNN considers, so the k nearest are always k valid matches
+        const tagCondition = this._tagCondition(tags);
+        const conditions = tagCondition ? [tagCondition.sql] : [];
+        const params = tagCondition ? [...tagCondition.params] : [];
+        const now = Date.now();
+        if (this._expireBeforeKnn(now)) {
+            conditions.push('(expires_at IS NULL OR expires_at > ?)');
+            params.push(now);
+        }
+        const queryVector = new Float32Array(vector);
+
+        // Rescoring ranks more quantized candidates by their full-precision vectors (sqlite-vec caps k at 4096).
+        // The count is pasted into the SQL; k and rescore are validated, so it is a whole number in 1..4096
+        const rescoring = this._rescoring;
+        const candidates = Math.min(Math.ceil(rescoring ? Math.max(k, k * this.options.rescore) : k), 4096);
+
+        // KNN search using sqlite-vec + join with cache table
+        const rows = this.db.prepare(`
+            WITH knn AS (
+                SELECT rowid, distance
+                FROM "${this._vecTable}"
+                WHERE embedding MATCH ${QUANTIZATIONS[this.options.quantization].sql}
+                  AND k = ${candidates}
+                  AND namespace = ?
+                  AND scope = ?
+                  ${conditions.length > 0 ? `AND rowid IN (SELECT id FROM "${this._cacheTable}" WHERE ${conditions.join(' AND ')})` : ''}
+                ORDER BY distance
+            )
+            SELECT knn.rowid, knn.distance, c.query, c.result, c.timestamp, c.tags, c.expires_at
+                ${rescoring ? ', CASE WHEN c.vector IS NULL THEN NULL ELSE vec_distance_cosine(c.vector, ?) END AS exact' : ''}
+            FROM knn
+            LEFT JOIN "${this._cacheTable}" c ON c.id = knn.rowid
+            ORDER BY knn.distance
+        `).all(
+            queryVector,
+            namespace,
+            scopeHash,
+            ...params,
+            ...(rescoring ? [queryVector] : [])
+        );
+
+        for (const row of rows) {
+            // Entries stored before rescoring was enabled only have their quantized distance
+            row.distance = row.exact ?? this._cosineDistance(row.distance);
+        }
+        if (rescoring) rows.sort((a, b) => a.distance - b.distance);
+
+        const matches = [];
+        for (const row of rows) {
+            // Stop if beyond similarity threshold
+            if (threshold !== null && row.distance > (1 - threshold)) break;
+            if (!row.query) continue; // Skip if no cache entry found
+
+            const entryTags = row.tags ? JSON.parse(row.tags) : [];
+
+            matches.push({
+                id: row.rowid,
+                query: row.query,
+                result: JSON.parse(row.result),
+                timestamp: row.timestamp,
+                score: row.distance,
+                similarity: 1 - row.distance,
+                tags: entryTags,
+            });
+            if (matches.length === k) break;
+        }
+
+        return matches;
+    }
+
+    // Removes up to sweepBatchSize expired entries before a KNN. Returns true when more are left,
+    // so the KNN has to filter them out itself.
+    _expireBeforeKnn(now) {
+        const { sweepBatchSize } = this.options;
+        const expired = this.db.prepare(`
+            SELECT id, query, expires_at FROM "${this._cacheTable}"
+            WHERE expires_at IS NOT NULL AND expires_at <= ?
+            LIMIT ?
+        `).all(now, Number.isFinite(sweepBatchSize) ? sweepBatchSize : -1);
+        if (expired.length > 0) this._expire(expired);
+        return expired.length === sweepBatchSize;
+    }
+
+    // Cosine distance from a vec0 distance; binary vectors give a hamming distance, which estimates the angle
+    _cosineDistance(distance) {
+        if (this.options.quantization !== 'binary') return distance;
+        return 1 - Math.cos(Math.PI * distance / this._dimensions);
+    }
+
+    // SQL condition selecting the cache entry ids that pass a tag filter, or null for an empty filter
+    _tagCondition(tags, column = 'id') {
+        const { includeTags, excludeTags } = parseTagFilter(tags);
+        const placeholders = (list) => list.map(() => '?').join(', ');
+        const conditions = [];
+        const params = [];
+
+        if (includeTags.length > 0) {
+            const required = [...new Set(includeTags)];
+            conditions.push(`${column} IN (
+                SELECT entry_id FROM "${this._tagTable}"
+                WHERE tag IN (${placeholders(required)})
+                GROUP BY entry_id
+                HAVING count(*) = ${required.length}
+            )`);
+            params.push(...required);
+        }
+
+        if (excludeTags.length > 0) {
+            conditions.push(`${column} NOT IN (
+                SELECT entry_id FROM "${this._tagTable}" WHERE tag IN (${placeholders(excludeTags)})
+            )`);
+            params.push(...excludeTags);
+        }
+
+        if (conditions.length === 0) return null;
+        return { sql: conditions.join(' AND '), params };
+    }
+
+    async wrap(query, producer, { tags = [], ttl = this.options.ttl, namespace = this.options.namespace, scope } = {}) {
+        const { includeTags, excludeTags } = parseTagFilter(tags);
+        const scopeHash = hashScope(scope);
+        const key = this._generateKey(query, namespace, scopeHash);
+        const filterKey = JSON.stringify([namespace, scopeHash, [...includeTags].sort(), [...excludeTags].sort()]);
+
+        const started = performance.now();
+        let exact;
+        try {
+            exact = this._exactLookup(query, { tags, namespace, scopeHash });
+        } catch (error) {
+            return this._wrapUncached(error, query, producer);
+        }
+        if (exact) {
+            this._recordLookup(query, exact, { exact: true, namespace, queryMs: performance.now() - started });
+            return exact.result;
+        }
+
+        // Identical query already being produced: share its result
+        const same = this._inflight.find(entry => entry.key === key && entry.filterKey === filterKey);
+        if (same) return same.promise;
+
+        // Only wait on misses registered before this one, so two calls never wait on each other
+        const earlier = [...this._inflight];
+        const entry = { key, filterKey };
+        entry.vector = this._embed(query);
+        entry.promise = this._wrapMiss(entry, earlier, query, producer, {
+            tags,
+            storeTags: includeTags,
+            ttl,
+            namespace,
+            scopeHash
+        });
+
+        this._inflight.push(entry);
+        const release = () => {
+            this._inflight = this._inflight.filter(other => other !== entry);
+        };
+        entry.promise.then(release, release);
+
+        return entry.promise;
     }
+
+    async _wrapMiss(entry, earlier, query, producer, { tags, storeTags, ttl, namespace, scopeHash }) {
+        let vector;
+        let embeddingMs;
+        try {
+            const embeddingStarted = performance.now();
+            vector = await entry.vector;
+            embeddingMs = performance.now() - embeddingStarted;
+
+            const started = performance.now();
+            const { hit, nearest } = this._lookup(vector, { tags, namespace, scopeHash });
+            this._recordLookup(query, hit, { nearest, namespace, embeddingMs, queryMs: performance.now() - started });
+            if (hit) return hit.result;
+        } catch (error) {
+            return this._wrapUncached(error, query, producer);
+        }
+
+        // Semantically equal miss already in flight: wait for it instead of producing again
+        const maxDistance = 1 - this.options.similarityThreshold;
+        for (const other of earlier) {
+            if (other.filterKey !== entry.filterKey) continue;
+
+            let otherVector;
+            try {
+                otherVector = await other.vector;
+            } catch {
+                continue;
+            }
+
+            if (1 - cosineSimilarity(vector, otherVector) <= maxDistance) {
+                return other.promise;
+            }
+        }
+
+        const result = await producer(query);
+        if (result === undefined) return result;
+
+        try {
+            // The lookup vector can be stored as is unless the model formats passages differently
+            const text = this._normalizer.normalize(query);
+            const storeVector = this._formatInput(text, 'query') === this._formatInput(text, 'passage')
+                ? vector
+                : await this._embed(query, 'passage');
+
+            this._store(query, storeVector, result, { tags: storeTags, ttl, namespace, scopeHash, embeddingMs });
+        } catch (error) {
+            // The result is still valid even if it could not be cached
+            log.error('Error saving to cache:', error);
+            this._emitError(error, 'wrap');
+        }
+
+        return result;
+    }
+
+    // The cache failing (provider down, database error) must not take the producer down with it:
+    // the error is reported and the result returned without being stored
+    async _wrapUncached(error, query, producer) {
+        log.error('Error searching in cache:', error);
+        this._emitError(error, 'wrap');
+        return producer(query);
+    }
+
+    async invalidateOld(maxAgeInSeconds, { namespace = this.options.namespace } = {}) {
+        try {
+            const cutoffTime = Date.now() - (maxAgeInSeconds * 1000);
+
+            // Entries past their own expiry are removed too, whatever their age
+            const oldEntries = this.db.prepare(`
+                SELECT id FROM "${this._cacheTable}"
+                WHERE namespace = ? AND (timestamp < ? OR (expires_at IS NOT NULL AND expires_at <= ?))
+            `).all(namespace, cutoffTime, Date.now());
+
+            return this._deleteIds(oldEntries.map(entry => entry.id));
+        } catch (error) {
+            log.error('Error invalidating old cache:', error);
+            this._emitError(error, 'invalidateOld');
+            throw error;
+        }
+    }
+
+    async purgeExpired({ batchSize = Infinity } = {}) {
+        try {
+            const select = this.db.prepare(`
+                SELECT id, query, expires_at FROM "${this._cacheTable}"
+                WHERE expires_at IS NOT NULL AND expires_at <= ?
+                LIMIT ?
+            `);
+
+            let removed = 0;
+            while (this.db) {
+                const expired = select.all(Date.now(), Number.isFinite(batchSize) ? batchSize : -1);
+                removed += this._expire(expired);
+                if (expired.length < batchSize) break;
+
+                // Give other work a chance to run between batches
+                await new Promise(resolve => setImmediate(resolve));
+            }
+
+            return removed;
+        } catch (error) {
+            log.error('Error purging expired cache entries:', error);
+            this._emitError(error, 'purgeExpired');
+            throw error;
+        }
+    }
+
+    _startSweeper() {
+        if (!(this.options.sweepInterval > 0)) return;
+
+        this._sweepTimer = setInterval(() => this._sweep(), this.options.sweepInterval * 1000);
+        // The sweeper alone should not keep the process alive
+        this._sweepTimer.unref();
+    }
+
+    async _sweep() {
+        if (this._sweeping || !this.db) return;
+
+        this._sweeping = this.purgeExpired({ batchSize: this.options.sweepBatchSize })
+            .catch(() => {}) // Already logged and emitted by purgeExpired()
+            .finally(() => {
+                this._sweeping = null;
+            });
+
+        await this._sweeping;
+    }
+
+    async compact() {
+        try {
+            const before = this._dbSize();
+            this.db.exec('VACUUM');
+            this.db.exec('PRAGMA optimize');
+            const after = this._dbSize();
+
+            log.info(`Database compacted from ${before} to ${after} bytes`);
+            return { before, after };
+        } catch (error) {
+            log.error('Error compacting database:', error);
+            this._emitError(error, 'compact');
+            throw error;
+        }
+    }
+
+    _dbSize() {
+        return this.db.pragma('page_count', { simple: true }) * this.db.pragma('page_size', { simple: true });
+    }
+
+    async delete(query, { namespace = this.options.namespace, scope } = {}) {
+        const scopeHash = hashScope(scope);
+        try {
+            const entry = this.db.prepare(
+                `SELECT id FROM "${this._cacheTable}" WHERE key = ? AND namespace = ? AND scope = ?`
+            ).get(this._generateKey(query, namespace, scopeHash), namespace, scopeHash);
+
+            return this._deleteIds(entry ? [entry.id] : []);
+        } catch (error) {
+            log.error('Error deleting cache entry:', error);
+            this._emitError(error, 'delete');
+            throw error;
+        }
+    }
+
+    async invalidateByTags(tags, { namespace = this.options.namespace } = {}) {
+        try {
+            const tagCondition = this._tagCondition(tags);
+            // An empty filter would match every entry; use dropNamespace() or dropKeys() for that
+            if (!tagCondition) return 0;
+
+            const ids = this.db.prepare(
+                `SELECT id FROM "${this._cacheTable}" WHERE namespace = ? AND ${tagCondition.sql}`
+            ).all(namespace, ...tagCondition.params)
+                .map(row => row.id);
+
+            return this._deleteIds(ids);
+        } catch (error) {
+            log.error('Error invalidating cache by tags:', error);
+            this._emitError(error, 'invalidateByTags');
+            throw error;
+        }
+    }
+
+    async invalidateSimilar(query, threshold = this.options.similarityThreshold, {
+        tags = [],
+        namespace = this.options.namespace
+    } = {}) {
+        try {
+            const tagCondition = this._tagCondition(tags, 'c.id');
+            const vector = await this._embed(query);
+
+            const { quantization } = this.options;
+            const distance = quantization === 'binary'
+                ? `vec_distance_hamming(v.embedding, ${QUANTIZATIONS.binary.sql})`
+                : `vec_distance_cosine(v.embedding, ${QUANTIZATIONS[quantization].sql})`;
+            // Inverse of _cosineDistance() for hamming distances
+            const maxDistance = quantization === 'binary'
+                ? this._dimensions * Math.acos(Math.max(-1, Math.min(1, threshold))) / Math.PI
+                : 1 - threshold;
+
+            // Full scan instead of KNN: every entry above the threshold must go, not just the k nearest
+            const ids = this.db.prepare(`
+                SELECT v.rowid AS id
+                FROM "${this._vecTable}" v
+                JOIN "${this._cacheTable}" c ON c.id = v.rowid
+                WHERE c.namespace = ?
+                  AND ${distance} <= ?
+                  ${tagCondition ? `AND ${tagCondition.sql}` : ''}
+            `).all(namespace, new Float32Array(vector), maxDistance, ...(tagCondition ? tagCondition.params : []))
+                .map(row => row.id);
+
+            return this._deleteIds(ids);
+        } catch (error) {
+            log.error('Error invalidating similar cache entries:', error);
+            this._emitError(error, 'invalidateSimilar');
+            throw error;
+        }
+    }
+
+    async invalidateWhere(predicate, { namespace = this.options.namespace } = {}) {
+        try {
+            const ids = this.db.prepare(
+                `SELECT id, query, result, timestamp, tags FROM "${this._cacheTable}" WHERE namespace = ?`
+            ).all(namespace)
+                .filter(row => predicate({
+                    query: row.query,
+                    result: JSON.parse(row.result),
+                    timestamp: row.timestamp,
+                    tags: JSON.parse(row.tags),
+                }))
+                .map(row => row.id);
+
+            return this._deleteIds(ids);
+        } catch (error) {
+            log.error('Error invalidating cache entries:', error);
+            this._emitError(error, 'invalidateWhere');
+            throw error;
+        }
+    }
+
+    async dropNamespace(namespace = this.options.namespace) {
+        try {
+            const ids = this.db.prepare(`SELECT id FROM "${this._cacheTable}" WHERE namespace = ?`)
+                .all(namespace)
+                .map(row => row.id);
+
+            const removed = this._deleteIds(ids);
+            log.info(`Dropped ${removed} entries from namespace "${namespace}"`);
+            return removed;
+        } catch (error) {
+            log.error('Error dropping namespace:', error);
+            this._emitError(error, 'dropNamespace');
+            throw error;
+        }
+    }
+
+    // Live entries, most recent first, for inspection. namespace: null lists every namespace
+    async list({ tags = [], namespace = this.options.namespace, limit = 50, offset = 0 } = {}) {
+        try {
+            const { conditions, params } = this._entryFilter({ tags, namespace });
+            const rows = this.db.prepare(`
+                SELECT query, result, timestamp, tags, expires_at, namespace, scope, hit_count, last_accessed
+                FROM "${this._cacheTable}"
+                WHERE (expires_at IS NULL OR expires_at > ?)
+                ${conditions.map(condition => `AND ${condition}`).join(' ')}
+                ORDER BY timestamp DESC, id DESC
+                LIMIT ? OFFSET ?
+            `).all(Date.now(), ...params, limit, offset);
+
+            return rows.map(row => ({
+                query: row.query,
+                result: JSON.parse(row.result),
+                timestamp: row.timestamp,
+                tags: JSON.parse(row.tags),
+                expiresAt: row.expires_at,
+                namespace: row.namespace,
+                scope: row.scope,
+                hitCount: row.hit_count,
+                lastAccessed: row.last_accessed,
+            }));
+        } catch (error) {
+            log.error('Error listing cache entries:', error);
+            this._emitError(error, 'list');
+            throw error;
+        }
+    }
+
+    // SQL conditions on the cache table for a tag filter and a namespace (null matches every namespace)
+    _entryFilter({ tags = [], namespace = this.options.namespace } = {}) {
+        const conditions = [];
+        const params = [];
+        if (namespace !== null) {
+            conditions.push('namespace = ?');
+            params.push(namespace);
+        }
+        const tagCondition = this._tagCondition(tags);
+        if (tagCondition) {
+            conditions.push(tagCondition.sql);
+            params.push(...tagCondition.params);
+        }
+        return { conditions, params };
+    }
+
+    // Writes one JSON line per live entry, reading them in batches so large caches never sit in memory.
+    // Vectors can only be exported when a full-precision copy is stored (float tables, or rescoring).
+    // The stream is left open.
+    async export(stream, {
+        includeVectors = false,
+        tags = [],
+        namespace = this.options.namespace,
+        batchSize = 500
+    } = {}) {
+        try {
+            const { conditions, params } = this._entryFilter({ tags, namespace });
+            const readBatch = this.db.prepare(`
+                SELECT id, query, result, timestamp, tags, expires_at, namespace, scope, vector
+                FROM "${this._cacheTable}"
+                WHERE id > ? AND (expires_at IS NULL OR expires_at > ?)
+                ${conditions.map(condition => `AND ${condition}`).join(' ')}
+                ORDER BY id
+                LIMIT ?
+            `);
+            const readVector = this.db.prepare(`SELECT embedding FROM "${this._vecTable}" WHERE rowid = ?`);
+            const floatVectors = this.options.quantization === 'float';
+
+            let lastId = 0;
+            let exported = 0;
+            for (;;) {
+                const rows = readBatch.all(lastId, Date.now(), ...params, batchSize);
+                if (rows.length === 0) break;
+                lastId = rows.at(-1).id;
+
+                for (const row of rows) {
+                    const entry = {
+                        query: row.query,
+                        result: JSON.parse(row.result),
+                        tags: JSON.parse(row.tags),
+                        timestamp: row.timestamp,
+                        expiresAt: row.expires_at,
+                        namespace: row.namespace,
+                    };
+                    // Only the hash of a scope is stored, and import() takes it back as is
+                    if (row.scope) entry.scope = row.scope;
+
+                    const blob = !includeVectors ? null
+                        : floatVectors ? readVector.get(BigInt(row.id)).embedding
+                            : row.vector;
+                    if (blob) {
+                        entry.model = this.embeddingProvider.model;
+                        entry.vector = Array.from(new Float32Array(new Uint8Array(blob).buffer));
+                    }
+
+                    if (!stream.write(`${JSON.stringify(entry)}\n`)) {
+                        await EventEmitter.once(stream, 'drain');
+                    }
+                    exported++;
+                }
+            }
+
+            return exported;
+        } catch (error) {
+            log.error('Error exporting cache:', error);
+            this._emitError(error, 'export');
+            throw error;
+        }
+    }
+
+    // Reads the JSON lines written by export(), batch by batch. Exported vectors are reused when they
+    // come from the same model and dimension count; other entries (or all of them with reembed: true)
+    // are embedded again. Entries keep their own namespace unless `namespace` is given.
+    async import(stream, {
+        reembed = false,
+        onConflict = 'overwrite',
+        namespace,
+        batchSize = 100
+    } = {}) {
+        try {
+            if (!IMPORT_CONFLICTS.includes(onConflict)) {
+                throw new Error(`Unknown onConflict "${onConflict}". Use one of: ${IMPORT_CONFLICTS.join(', ')}`);
+            }
+
+            const summary = { imported: 0, skipped: 0, embedded: 0 };
+            const options = { reembed, onConflict, namespace };
+            const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+
+            let batch = [];
+            let lineNumber = 0;
+            for await (const line of lines) {
+                lineNumber++;
+                if (!line.trim()) continue;
+
+                let entry;
+                try {
+                    entry = JSON.parse(line);
+                } catch (error) {
+                    throw new Error(`Invalid JSON on line ${lineNumber} of the import: ${error.message}`);
+                }
+                if (typeof entry.query !== 'string' || !('result' in entry)) {
+                    throw new Error(`Line ${lineNumber} of the import has no query or result`);
+                }
+
+                batch.push(entry);
+                if (batch.length >= batchSize) {
+                    await this._importBatch(batch, options, summary);
+                    batch = [];
+                }
+            }
+            await this._importBatch(batch, options, summary);
+
+            log.info(`Imported ${summary.imported} entries (${summary.embedded} embedded, ${summary.skipped} skipped)`);
+            return summary;
+        } catch (error) {
+            log.error('Error importing cache:', error);
+            this._emitError(error, 'import');
+            throw error;
+        }
+    }
+
+    async _importBatch(entries, { reembed, onConflict, namespace }, summary) {
+        if (entries.length === 0) return;
+
+        const now = Date.now();
+        const existing = this.db.prepare(`SELECT timestamp FROM "${this._cacheTable}" WHERE key = ?`);
+        const pending = entries
+            .map(entry => ({
+                ...entry,
+                namespace: namespace ?? entry.namespace ?? this.options.namespace,
+                // Exported scopes are already hashed; hand-written files may give the object
+                scopeHash: typeof entry.scope === 'string' && /^[0-9a-f]{64}$/.test(entry.scope)
+                    ? entry.scope
+                    : hashScope(entry.scope),
+            }))
+            .filter((entry) => {
+                if (entry.expiresAt != null && entry.expiresAt <= now) return false;
+                if (onConflict === 'overwrite') return true;
+
+                const current = existing.get(this._generateKey(entry.query, entry.namespace, entry.scopeHash));
+                if (!current) return true;
+                return onConflict === 'newer' && current.timestamp < (entry.timestamp ?? now);
+            });
+        summary.skipped += entries.length - pending.length;
+
+        const { model } = this.embeddingProvider;
+        const reusable = entry => !reembed
+            && entry.model === model
+            && Array.isArray(entry.vector)
+            && entry.vector.length === this._dimensions;
+
+        const stale = pending.filter(entry => !reusable(entry));
+        const embeddings = await this._embedMany(stale.map(entry => entry.query), {
+            batchSize: entries.length,
+            inputType: 'passage',
+        });
+        const vectors = new Map(stale.map((entry, i) => [entry, embeddings[i]]));
+        summary.embedded += stale.length;
+
+        const commit = this._transaction(() => {
+            for (const entry of pending) {
+                this._store(entry.query, vectors.get(entry) || entry.vector, entry.result, {
+                    tags: entry.tags || [],
+                    namespace: entry.namespace,
+                    scopeHash: entry.scopeHash,
+                    timestamp: entry.timestamp ?? now,
+                    expiresAt: entry.expiresAt ?? null,
+                });
+            }
+        });
+
+        commit();
+        summary.imported += pending.length;
+    }
+
+    _deleteIds(ids) {
+        if (ids.length === 0) return 0;
+
+        const purge = this._transaction((entryIds) => {
+            const deleteCache = this.db.prepare(`DELETE FROM "${this._cacheTable}" WHERE id = ?`);
+            const deleteVec = this.db.prepare(`DELETE FROM "${this._vecTable}" WHERE rowid = ?`);
+            const deleteTags = this.db.prepare(`DELETE FROM "${this._tagTable}" WHERE entry_id = ?`);
+
+            for (const id of entryIds) {
+                if (this._size) {
+                    const bytes = this._entryBytes(id);
+                    if (bytes !== null) {
+                        this._size.entries--;
+                        this._size.bytes -= bytes;
+                    }
+                }
+                deleteCache.run(id);
+                deleteVec.run(BigInt(id));
+                deleteTags.run(id);
+            }
+        });
+
+        purge(ids);
+        return ids.length;
+    }
+
+    // Lookups embed the query side of asymmetric models, stored entries the passage side
+    _formatInput(text, inputType) {
+        if (this._rawInput) return text;
+        const provider = this.embeddingProvider;
+        // Plain object providers may not implement formatInput()
+        return typeof provider.formatInput === 'function' ? provider.formatInput(text, inputType) : text;
+    }
+
+    async _embed(query, inputType = 'query') {
+        const text = this._formatInput(this._normalizer.normalize(query), inputType);
+
+        if (!this.options.embeddingCache) {
+            return this._truncate(await this.embeddingProvider.getEmbeddings(text));
+        }
+
+        const cached = this._cachedEmbedding(text);
+        if (cached) return this._truncate(cached);
+
+        const vector = await this.embeddingProvider.getEmbeddings(text);
+        this._storeEmbedding(text, vector);
+        return this._truncate(vector);
+    }
+
+    // Matryoshka models keep most of their quality in the leading dimensions; the cut is renormalized
+    _truncate(vector) {
+        const { truncateDimensions } = this.options;
+        if (!(truncateDimensions > 0) || vector.length <= truncateDimensions) return vector;
+
+        const head = Array.from(vector.slice(0, truncateDimensions));
+        const norm = Math.sqrt(head.reduce((sum, x) => sum + x * x, 0)) || 1;
+        return head.map(x => x / norm);
+    }
+
+    _embeddingHash(text) {
+        return crypto.createHash('sha256').update(text.normalize('NFC')).digest('hex');
+    }
+
+    _cachedEmbedding(text) {
+        const { model, dimensions } = this.embeddingProvider;
+        const row = this.db.prepare(`
+            SELECT embedding FROM seekmix_embeddings
+            WHERE model = ? AND dimensions = ? AND hash = ?
+        `).get(model, dimensions, this._embeddingHash(text));
+
+        if (!row) {
+            this._embeddingStats.misses++;
+            return null;
+        }
+
+        this._embeddingStats.hits++;
+        // Copy into an aligned buffer: SQLite blobs may start at any byte offset
+        return Array.from(new Float32Array(new Uint8Array(row.embedding).buffer));
+    }
+
+    // Every embedded text is memoized, misses included, so the table is kept to embeddingCacheSize rows
+    // here, dropping the oldest first. Its share of maxBytes is enforced by _evict() when an entry is written.
+    _storeEmbedding(text, vector) {
+        // The connection may have been closed while the provider was working
+        if (!this.db) return;
+
+        const { model, dimensions } = this.embeddingProvider;
+        const info = this.db.prepare(`
+            INSERT OR IGNORE INTO seekmix_embeddings (model, dimensions, hash, embedding, timestamp)
+            VALUES (?, ?, ?, ?, ?)
+        `).run(model, dimensions, this._embeddingHash(text), Buffer.from(new Float32Array(vector).buffer), Date.now());
+
+        if (info.changes > 0 && this._embeddingSize) {
+            this._embeddingSize.size++;
+            this._embeddingSize.bytes += this.db.prepare(
+                `SELECT ${EMBEDDING_BYTES} AS bytes FROM seekmix_embeddings WHERE rowid = ?`
+            ).get(info.lastInsertRowid).bytes;
+        }
+        this._trimEmbeddings();
+    }
+
+    // Running row count and size of this model's memoized embeddings
+    _embeddingTotals() {
+        if (!this._embeddingSize) {
+            this._embeddingSize = this.db.prepare(`
+                SELECT count(*) AS size, coalesce(sum(${EMBEDDING_BYTES}), 0) AS bytes
+                FROM seekmix_embeddings WHERE model = ? AND dimensions = ?
+            `).get(this.embeddingProvider.model, this.embeddingProvider.dimensions);
+        }
+        return this._embeddingSize;
+    }
+
+    // Deletes the oldest memoized embeddings beyond embeddingCacheSize, and more until excessBytes are freed.
+    // Returns the bytes freed.
+    _trimEmbeddings(excessBytes = 0) {
+        const { model, dimensions } = this.embeddingProvider;
+        const { embeddingCacheSize } = this.options;
+        const totals = this._embeddingTotals();
+
+        let surplus = embeddingCacheSize === -1 ? 0 : totals.size - embeddingCacheSize;
+        if (surplus <= 0 && excessBytes <= 0) return 0;
+
+        const oldest = this.db.prepare(`
+            SELECT rowid, ${EMBEDDING_BYTES} AS bytes FROM seekmix_embeddings
+            WHERE model = ? AND dimensions = ?
+            ORDER BY timestamp ASC, rowid ASC
+        `).iterate(model, dimensions);
+
+        const trimmed = [];
+        let freed = 0;
+        for (const row of oldest) {
+            if (surplus <= 0 && freed >= excessBytes) break;
+            trimmed.push(row);
+            freed += row.bytes;
+            surplus--;
+        }
+
+        const remove = this.db.prepare('DELETE FROM seekmix_embeddings WHERE rowid = ?');
+        this._transaction(() => {
+            for (const row of trimmed) {
+                remove.run(row.rowid);
+                totals.size--;
+                totals.bytes -= row.bytes;
+            }
+        })();
+        return freed;
+    }
+
+    async _embedMany(queries, { batchSize = 100, inputType = 'query' } = {}) {
+        const texts = queries.map(query => this._formatInput(this._normalizer.normalize(query), inputType));
+        const provider = this.embeddingProvider;
+        const vectors = new Array(texts.length);
+        const missing = new Map(); // text -> indexes still without a vector
+
+        texts.forEach((text, i) => {
+            const cached = this.options.embeddingCache ? this._cachedEmbedding(text) : null;
+            if (cached) {
+                vectors[i] = cached;
+                return;
+            }
+            if (!missing.has(text)) missing.set(text, []);
+            missing.get(text).push(i);
+        });
+
+        const pending = [...missing.keys()];
+        for (let start = 0; start < pending.length; start += batchSize) {
+            const batch = pending.slice(start, start + batchSize);
+
+            // Plain object providers may only implement getEmbeddings()
+            const embeddings = typeof provider.getEmbeddingsBatch === 'function'
+                ? await provider.getEmbeddingsBatch(batch)
+                : await BaseEmbeddingProvider.prototype.getEmbeddingsBatch.call(provider, batch);
+
+            batch.forEach((text, j) => {
+                if (this.options.embeddingCache) this._storeEmbedding(text, embeddings[j]);
+                for (const i of missing.get(text)) vectors[i] = embeddings[j];
+            });
+        }
+
+        return vectors.map(vector => this._truncate(vector));
+    }
+
+    embeddingCacheStats() {
+        const { hits, misses } = this._embeddingStats;
+        const { size } = this.db.prepare(
+            'SELECT count(*) AS size FROM seekmix_embeddings WHERE model = ? AND dimensions = ?'
+        ).get(this.embeddingProvider.model, this.embeddingProvider.dimensions);
+
+        return { hits, misses, size };
+    }
+
+    async stats() {
+        try {
+            const { hits, exactHits, misses, sets, evictions, expirations, errors } = this._stats;
+            const lookups = hits + misses;
+
+            const { entries } = this.db.prepare(
+                `SELECT count(*) AS entries FROM "${this._cacheTable}"`
+            ).get();
+
+            const tags = {};
+            const tagRows = this.db.prepare(`
+                SELECT tag, count(*) AS count
+                FROM "${this._tagTable}"
+                GROUP BY tag
+                ORDER BY count DESC, tag
+            `).all();
+            for (const row of tagRows) tags[row.tag] = row.count;
+
+            // Entry counts per namespace, plus the counters of namespaces used by this instance
+            const namespaces = {};
+            const namespaceRows = this.db.prepare(`
+                SELECT namespace, count(*) AS entries
+                FROM "${this._cacheTable}"
+                GROUP BY namespace
+            `).all();
+            for (const row of namespaceRows) {
+                namespaces[row.namespace] = { entries: row.entries, hits: 0, misses: 0, sets: 0 };
+            }
+            for (const [name, counters] of Object.entries(this._stats.namespaces)) {
+                namespaces[name] = { entries: 0, ...namespaces[name], ...counters };
+            }
+
+            return {
+                hits,
+                exactHits,
+                misses,
+                hitRatio: lookups > 0 ? hits / lookups : 0,
+                sets,
+                evictions,
+                expirations,
+                errors,
+                entries,
+                tags,
+                namespaces,
+                dbSize: this._dbSize(),
+                embeddingCache: this.embeddingCacheStats(),
+                latency: {
+                    embeddingMs: this._stats.embeddings > 0 ? this._stats.embeddingMs / this._stats.embeddings : 0,
+                    queryMs: lookups > 0 ? this._stats.queryMs / lookups : 0,
+                },
+                similarityHistogram: this._stats.histogram.map((count, i) => ({
+                    from: Math.round(i * HISTOGRAM_BUCKET * 100) / 100,
+                    to: Math.round((i + 1) * HISTOGRAM_BUCKET * 100) / 100,
+                    count,
+                })),
+            };
+        } catch (error) {
+            log.error('Error collecting cache stats:', error);
+            this._emitError(error, 'stats');
+            throw error;
+        }
+    }
+
+    // Re-embeds every entry stored for another model into the tables of a new provider, keeping
+    // results, tags, namespaces and timestamps. `from` is only used to find the old tables, so it
+    // can be the old provider or just its model name. Progress is committed after every batch in
+    // seekmix_migrations, and calling migrate() again resumes after the last committed entry.
+    static async migrate({
+        dbPath = 'seekmix.db',
+        from,
+        to,
+        batchSize = 100,
+        onProgress = null,
+        ...options
+    } = {}) {
+        const sourceModel = typeof from === 'string' ? from : from && from.model;
+        if (!sourceModel) {
+            throw new TypeError('migrate() needs the provider or model name to migrate from');
+        }
+        if (!to) {
+            throw new TypeError('migrate() needs the embedding provider to migrate to');
+        }
+
+        const target = new SeekMix({ ...options, dbPath, embeddingProvider: to });
+        await target.connect();
+
+        try {
+            const source = `cache_${sanitizeModelName(sourceModel)}`;
+            if (source === target._cacheTable) {
+                const error = new Error(`${sourceModel} and ${to.model} share the tables ${source}, there is nothing to migrate`);
+                error.code = 'SEEKMIX_MIGRATION_SAME_TABLES';
+                throw error;
+            }
+            if (!target._tableSql(source)) {
+                const error = new Error(`There is no ${source} table in ${dbPath} to migrate from`);
+                error.code = 'SEEKMIX_MIGRATION_SOURCE_MISSING';
+                throw error;
+            }
+
+            const db = target.db;
+            db.exec(`
+                CREATE TABLE IF NOT EXISTS seekmix_migrations (
+                    source_table TEXT NOT NULL,
+                    target_table TEXT NOT NULL,
+                    last_id INTEGER NOT NULL DEFAULT 0,
+                    migrated INTEGER NOT NULL DEFAULT 0,
+                    skipped INTEGER NOT NULL DEFAULT 0,
+                    started_at INTEGER NOT NULL,
+                    updated_at INTEGER NOT NULL,
+                    completed_at INTEGER,
+                    PRIMARY KEY (source_table, target_table)
+                )
+            `);
+            db.prepare(`
+                INSERT OR IGNORE INTO seekmix_migrations (source_table, target_table, started_at, updated_at)
+                VALUES (?, ?, ?, ?)
+            `).run(source, target._cacheTable, Date.now(), Date.now());
+
+            const readProgress = db.prepare(
+                'SELECT last_id, migrated, skipped FROM seekmix_migrations WHERE source_table = ? AND target_table = ?'
+            );
+            const writeProgress = db.prepare(`
+                UPDATE seekmix_migrations
+                SET last_id = ?, migrated = migrated + ?, skipped = skipped + ?, updated_at = ?
+                WHERE source_table = ? AND target_table = ?
+            `);
+
+            // Tables never opened by a recent SeekMix may miss some columns
+            const columns = db.prepare(`PRAGMA table_info("${source}")`).all().map(c => c.name);
+            const column = (name, fallback) => (columns.includes(name) ? name : `${fallback} AS ${name}`);
+            const readBatch = db.prepare(`
+                SELECT id, query, result, timestamp,
+                    ${column('tags', `'[]'`)}, ${column('expires_at', 'NULL')}, ${column('last_accessed', 'timestamp')},
+                    ${column('hit_count', '0')}, ${column('namespace', `''`)}, ${column('scope', `''`)}
+                FROM "${source}"
+                WHERE id > ?
+                ORDER BY id
+                LIMIT ?
+            `);
+            const existing = db.prepare(`SELECT timestamp FROM "${target._cacheTable}" WHERE key = ?`);
+            const { total } = db.prepare(`SELECT count(*) AS total FROM "${source}"`).get();
+
+            let progress = readProgress.get(source, target._cacheTable);
+            const report = () => ({
+                source,
+                target: target._cacheTable,
+                migrated: progress.migrated,
+                skipped: progress.skipped,
+                total,
+            });
+
+            for (;;) {
+                const rows = readBatch.all(progress.last_id, batchSize);
+                if (rows.length === 0) break;
+
+                // Expired entries aren't worth an embedding, and entries written to the new
+                // tables since the switch are newer than the copy being migrated
+                const now = Date.now();
+                const live = rows.filter((row) => {
+                    if (row.expires_at !== null && row.expires_at <= now) return false;
+                    const current = existing.get(target._generateKey(row.query, row.namespace, row.scope));
+                    return !current || current.timestamp < row.timestamp;
+                });
+
+                const vectors = await target._embedMany(live.map(row => row.query), { batchSize, inputType: 'passage' });
+
+                const commit = db.transaction(() => {
+                    live.forEach((row, i) => {
+                        target._store(row.query, vectors[i], JSON.parse(row.result), {
+                            tags: JSON.parse(row.tags),
+                            namespace: row.namespace,
+                            scopeHash: row.scope,
+                            timestamp: row.timestamp,
+                            expiresAt: row.expires_at,
+                            lastAccessed: row.last_accessed ?? row.timestamp,
+                            hitCount: row.hit_count,
+                        });
+                    });
+                    writeProgress.run(
+                        rows.at(-1).id, live.length, rows.length - live.length, Date.now(), source, target._cacheTable
+                    );
+                });
+
+                commit();
+                progress = readProgress.get(source, target._cacheTable);
+                if (onProgress) onProgress(report());
+            }
+
+            db.prepare(
+                'UPDATE seekmix_migrations SET completed_at = ? WHERE source_table = ? AND target_table = ?'
+            ).run(Date.now(), source, target._cacheTable);
+
+            log.info(`Migrated ${progress.migrated} entries from ${source} to ${target._cacheTable} (${progress.skipped} skipped)`);
+            return report();
+        } catch (error) {
+            log.error('Error migrating cache:', error);
+            throw error;
+        } finally {
+            await target.disconnect();
+        }
+    }
+
+    // Table pairs in a database file: the layout recorded in seekmix_meta, plus any cache_ table
+    // created before it existed (model and dimensions unknown), with their entry counts
+    static async tables({ dbPath = 'seekmix.db' } = {}) {
+        const db = new Database(dbPath, { readonly: true, fileMustExist: true });
+        try {
+            const names = db.prepare(
+                `SELECT name FROM sqlite_master WHERE type = 'table' AND name LIKE 'cache\\_%' ESCAPE '\\' ORDER BY name`
+            ).all().map(row => row.name);
+            const meta = db.prepare(`SELECT 1 FROM sqlite_master WHERE name = 'seekmix_meta'`).get()
+                ? db.prepare('SELECT * FROM seekmix_meta').all()
+                : [];
+
+            return names.map((cacheTable) => {
+                const row = meta.find(m => m.cache_table === cacheTable) || {};
+                const { entries } = db.prepare(`SELECT count(*) AS entries FROM "${cacheTable}"`).get();
+                return {
+                    model: row.model ?? null,
+                    cacheTable,
+                    vecTable: row.vec_table ?? `vec_${cacheTable.slice('cache_'.length)}`,
+                    dimensions: row.dimensions ?? null,
+                    distanceMetric: row.distance_metric ?? null,
+                    quantization: row.quantization ?? 'float',
+                    normalization: row.normalization ?? '',
+                    inputTemplate: row.input_template ?? '',
+                    schemaVersion: row.schema_version ?? 1,
+                    entries,
+                };
+            });
+        } finally {
+            db.close();
+        }
+    }
+
+    _generateKey(query, namespace = this.options.namespace, scopeHash = '') {
+        const text = this._normalizer.normalize(query);
+        // Keys in the default namespace stay the plain hash of the query, as before namespaces existed,
+        // and unscoped keys stay what they were before scopes
+        const input = namespace ? `${namespace}\0${text}` : text;
+        return crypto.createHash('sha256').update(scopeHash ? `${scopeHash}\0${input}` : input).digest('hex');
+    }
+}
+
+// Errors answered to HTTP clients, with the status to send and a code they can branch on
+function httpError(status, code, message) {
+    const error = new Error(message);
+    error.status = status;
+    error.code = code;
+    return error;
+}
+
+function readJsonBody(req, maxBodySize) {
+    return new Promise((resolve, reject) => {
+        const tooLarge = () => httpError(413, 'SEEKMIX_BODY_TOO_LARGE', `Request body exceeds ${maxBodySize} bytes`);
+        if (Number(req.headers['content-length']) > maxBodySize) {
+            reject(tooLarge());
+            return;
+        }
+
+        const chunks = [];
+        let size = 0;
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > maxBodySize) {
+                // Keep draining so the 413 reaches the client before the connection closes
+                req.removeAllListeners('data');
+                req.resume();
+                reject(tooLarge());
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            if (size === 0) return resolve({});
+            let body;
+            try {
+                body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+            } catch (error) {
+                return reject(httpError(400, 'SEEKMIX_INVALID_JSON', 'Request body is not valid JSON'));
+            }
+            if (!body || typeof body !== 'object' || Array.isArray(body)) {
+                return reject(httpError(400, 'SEEKMIX_INVALID_REQUEST', 'Request body must be a JSON object'));
+            }
+            resolve(body);
+        });
+        req.on('error', reject);
+    });
+}
+
+// Checks the fields every endpoint shares and returns the ones to pass on
+function requestOptions(body, { query = true } = {}) {
+    if (query && (typeof body.query !== 'string' || body.query === '')) {
+        throw httpError(400, 'SEEKMIX_INVALID_REQUEST', '"query" must be a non-empty string');
+    }
+    if (body.namespace !== undefined && typeof body.namespace !== 'string') {
+        throw httpError(400, 'SEEKMIX_INVALID_REQUEST', '"namespace" must be a string');
+    }
+    if (body.scope != null && (typeof body.scope !== 'object' || Array.isArray(body.scope))) {
+        throw httpError(400, 'SEEKMIX_INVALID_REQUEST', '"scope" must be an object');
+    }
+    const stringList = list => Array.isArray(list) && list.every(tag => typeof tag === 'string');
+    const { tags } = body;
+    if (tags !== undefined && !stringList(tags) && !(
+        tags && typeof tags === 'object'
+        && (tags.in === undefined || stringList(tags.in))
+        && (tags.out === undefined || stringList(tags.out))
+    )) {
+        throw httpError(400, 'SEEKMIX_INVALID_REQUEST', '"tags" must be an array of strings or { in, out }');
+    }
+    return { tags, namespace: body.namespace, scope: body.scope };
+}
+
+// Optional numeric fields: k and ttl are pasted into SQL or expiry math, so only well-formed values pass
+function requestNumber(body, name, { integer = false, min = -Infinity, max = Infinity, allow = [] } = {}) {
+    const value = body[name];
+    if (value === undefined || allow.includes(value)) return value;
+    if (typeof value !== 'number' || !Number.isFinite(value) || (integer && !Number.isInteger(value))
+        || value < min || value > max) {
+        const range = max === Infinity ? `at least ${min}` : `between ${min} and ${max}`;
+        throw httpError(400, 'SEEKMIX_INVALID_REQUEST', `"${name}" must be ${integer ? 'an integer' : 'a number'} ${range}`);
+    }
+    return value;
+}
+
+const SERVER_ROUTES = {
+    '/get': {
+        method: 'POST',
+        async handle(cache, body) {
+            return { hit: await cache.get(body.query, requestOptions(body)) };
+        }
+    },
+    '/set': {
+        method: 'POST',
+        async handle(cache, body) {
+            const options = requestOptions(body);
+            if (!('result' in body)) {
+                throw httpError(400, 'SEEKMIX_INVALID_REQUEST', '"result" is required');
+            }
+            // Stored tags, not a filter
+            if (options.tags !== undefined && !Array.isArray(options.tags)) {
+                throw httpError(400, 'SEEKMIX_INVALID_REQUEST', '"tags" must be an array of strings');
+            }
+            // -1 keeps the entry forever, as in the ttl option
+            const ttl = requestNumber(body, 'ttl', { min: 0, allow: [-1] });
+            await cache.set(body.query, body.result, { ...options, ttl });
+            return { stored: true };
+        }
+    },
+    '/search': {
+        method: 'POST',
+        async handle(cache, body) {
+            const options = requestOptions(body);
+            const k = requestNumber(body, 'k', { integer: true, min: 1 });
+            const threshold = requestNumber(body, 'threshold', { min: 0, max: 1 });
+            return { results: await cache.search(body.query, { ...options, k, threshold }) };
+        }
+    },
+    '/entries': {
+        method: 'DELETE',
+        async handle(cache, body) {
+            const { namespace, scope } = requestOptions(body);
+            return { deleted: await cache.delete(body.query, { namespace, scope }) };
+        }
+    },
+    // One criterion per request: tags, a similar query, or a maximum age in seconds
+    '/invalidate': {
+        method: 'POST',
+        async handle(cache, body) {
+            const { namespace } = requestOptions(body, { query: false });
+            const criteria = ['tags', 'query', 'olderThan'].filter(name => body[name] !== undefined);
+            if (criteria.length !== 1) {
+                throw httpError(400, 'SEEKMIX_INVALID_REQUEST', 'Pass exactly one of "tags", "query" or "olderThan"');
+            }
+
+            if (body.tags !== undefined) {
+                return { removed: await cache.invalidateByTags(body.tags, { namespace }) };
+            }
+            if (body.query !== undefined) {
+                requestOptions(body);
+                const threshold = requestNumber(body, 'threshold', { min: 0, max: 1 });
+                return { removed: await cache.invalidateSimilar(body.query, threshold, { namespace }) };
+            }
+            const olderThan = requestNumber(body, 'olderThan', { min: 0 });
+            return { removed: await cache.invalidateOld(olderThan, { namespace }) };
+        }
+    },
+    '/stats': {
+        method: 'GET',
+        async handle(cache) {
+            return cache.stats();
+        }
+    },
+};
+
+// Exposes one connected SeekMix instance as JSON endpoints. Returns an http.Server that isn't
+// listening yet. With a token, every request needs an "Authorization: Bearer <token>" header.
+function createServer(cache, { token = null, maxBodySize = 1024 * 1024 } = {}) {
+    const tokenDigest = token ? crypto.createHash('sha256').update(token).digest() : null;
+
+    const authorized = (req) => {
+        if (!tokenDigest) return true;
+        const match = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+        if (!match) return false;
+        // Compare digests so the check takes the same time whatever the token length
+        return crypto.timingSafeEqual(crypto.createHash('sha256').update(match[1]).digest(), tokenDigest);
+    };
+
+    const send = (res, status, payload, headers = {}) => {
+        const body = JSON.stringify(payload);
+        res.writeHead(status, {
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(body),
+            ...headers,
+        });
+        res.end(body);
+    };
+
+    return http.createServer(async (req, res) => {
+        try {
+            if (!authorized(req)) {
+                throw httpError(401, 'SEEKMIX_UNAUTHORIZED', 'Missing or invalid bearer token');
+            }
+
+            const { pathname } = new URL(req.url, 'http://localhost');
+            const route = Object.hasOwn(SERVER_ROUTES, pathname) ? SERVER_ROUTES[pathname] : null;
+            if (!route) {
+                throw httpError(404, 'SEEKMIX_NOT_FOUND', `No endpoint ${pathname}`);
+            }
+            if (req.method !== route.method) {
+                const error = httpError(405, 'SEEKMIX_METHOD_NOT_ALLOWED', `${pathname} only accepts ${route.method}`);
+                error.allow = route.method;
+                throw error;
+            }
+
+            const body = route.method === 'GET' ? {} : await readJsonBody(req, maxBodySize);
+            send(res, 200, await route.handle(cache, body));
+        } catch (error) {
+            // Provider failures are the upstream's fault (their `status` is the upstream's, not ours)
+            if (error instanceof EmbeddingProviderError) {
+                send(res, 502, { error: { code: error.code, message: error.message } });
+                return;
+            }
+
+            if (error.status) {
+                const headers = {};
+                if (error.status === 401) headers['WWW-Authenticate'] = 'Bearer';
+                if (error.allow) headers.Allow = error.allow;
+                // The rest of an oversized body is never read
+                if (error.status === 413) headers.Connection = 'close';
+                send(res, error.status, { error: { code: error.code, message: error.message } }, headers);
+                return;
+            }
+
+            // Anything else stays private
+            log.error('Error handling request:', error);
+            send(res, 500, { error: { code: 'SEEKMIX_INTERNAL', message: 'Internal server error' } });
+        }
+    });
+}
+
+// Text of a chat message, or null when it carries anything else (images, audio...)
+function chatMessageText(message) {
+    if (typeof message.content === 'string') return message.content;
+    if (!Array.isArray(message.content)) return null;
+    if (message.content.some(part => part.type !== 'text')) return null;
+    return message.content.map(part => part.text).join('\n');
+}
+
+// Chat completion request fields that don't change the answer
+const CHAT_UNSCOPED_FIELDS = new Set(['messages', 'n', 'stream', 'stream_options', 'user', 'metadata', 'store', 'service_tier']);
+
+// The semantic query and exact-match scope of a chat completion request,
+// or null when its answer shouldn't be reused
+function chatCacheKey(params, { maxTemperature }) {
+    const { messages = [] } = params;
+    // OpenAI samples at temperature 1 when none is given
+    const temperature = params.temperature ?? 1;
+    if (params.stream || (params.n ?? 1) > 1 || temperature > maxTemperature) return null;
+
+    // Follow-ups to tool calls or assistant turns depend on more than the question
+    const last = messages[messages.length - 1];
+    if (!last || last.role !== 'user') return null;
+    const query = chatMessageText(last);
+    if (!query || !query.trim()) return null;
+
+    // Everything else must match: the model, sampling settings (max_tokens, stop, seed...), tools,
+    // and every earlier message, so "How many people live there?" after Tokyo never gets the Paris answer
+    const scope = { temperature, history: messages.slice(0, -1) };
+    for (const [field, value] of Object.entries(params)) {
+        if (!CHAT_UNSCOPED_FIELDS.has(field) && field !== 'temperature') scope[field] = value;
+    }
+    return { query, scope };
+}
+
+// client: an OpenAI SDK instance, a function taking the request body, or { baseURL, apiKey, headers, ... }
+function chatCompletionClient(client) {
+    if (typeof client === 'function') return client;
+    if (client && client.chat && client.chat.completions && typeof client.chat.completions.create === 'function') {
+        return params => client.chat.completions.create(params);
+    }
+    if (client && client.baseURL) {
+        // Completions are billed and not idempotent, so a failed one is not sent again unless asked to
+        const { baseURL, apiKey, headers = {}, timeout = 600000, maxRetries = 0, ...options } = client;
+        const jsonClient = createJsonClient({
+            baseURL,
+            headers: { ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}), ...headers },
+            provider: 'cachedChatCompletion',
+            timeout,
+            maxRetries,
+            ...options,
+            ErrorClass: ChatCompletionError,
+        });
+        return async params => (await jsonClient.post('/chat/completions', params)).data;
+    }
+    throw new TypeError('cachedChatCompletion() needs an OpenAI client, a function or { baseURL, apiKey }');
+}
+
+// Returns a drop-in for chat.completions.create() that answers repeated questions from the cache.
+// The last user message is the semantic query; earlier messages and the other request fields
+// join `scope` and must match exactly. Streaming, n > 1 and temperatures above maxTemperature always go upstream.
+function cachedChatCompletion(cache, client, { maxTemperature = 0, tags = [], ttl, namespace, scope = {} } = {}) {
+    const create = chatCompletionClient(client);
+
+    return async function createChatCompletion(params) {
+        const key = chatCacheKey(params, { maxTemperature });
+        if (!key) return create(params);
+
+        return cache.wrap(key.query, () => create(params), { tags, ttl, namespace, scope: { ...scope, ...key.scope } });
+    };
 }
 
 module.exports = {
@@ -544,10 +3310,16 @@ module.exports = {
     OpenAIEmbeddingProvider,
     OpenAIEmbedding3Provider,
     OpenAIEmbedding3LargeProvider,
+    OpenAICompatibleEmbeddingProvider,
     OpenRouterEmbeddingProvider,
     QwenEmbeddingProvider,
     BgeM3EmbeddingProvider,
     MultilingualE5LargeProvider,
     OpenAIEmbedding3SmallRouterProvider,
-    OpenAIEmbedding3LargeRouterProvider
+    OpenAIEmbedding3LargeRouterProvider,
+    FallbackEmbeddingProvider,
+    EmbeddingProviderError,
+    ChatCompletionError,
+    createServer,
+    cachedChatCompletion
 };
@@ -0,0 +1,102 @@
+const { describe, it, before, after } = require('node:test');
+const { strict: assert } = require('assert');
+const { SeekMix, BaseEmbeddingProvider } = require('../index');
+
+const vectorFor = (text) => {
+    if (text.includes('pasta')) return [1, 0, 0];
+    if (text.includes('salmon')) return [0, 1, 0];
+    return [0, 0, 1];
+};
+
+class BatchingProvider extends BaseEmbeddingProvider {
+    constructor() {
+        super({ model: 'dummy-batch', dimensions: 3 });
+        this.batches = [];
+        this.single = 0;
+    }
+
+    async getEmbeddings(text) {
+        this.single++;
+        return vectorFor(text);
+    }
+
+    async getEmbeddingsBatch(texts) {
+        this.batches.push(texts);
+        return texts.map(vectorFor);
+    }
+}
+
+describe('SeekMix batch operations', function () {
+    let cache;
+    let provider;
+
+    before(async function () {
+        provider = new BatchingProvider();
+        cache = new SeekMix({
+            dbPath: ':memory:',
+            embeddingProvider: provider,
+            dropIndex: true,
+            similarityThreshold: 0.9,
+        });
+        await cache.connect();
+    });
+
+    after(async function () {
+        await cache.disconnect();
+    });
+
+    it('stores many entries with batched embedding requests', async function () {
+        const stored = await cache.setMany([
+            { query: 'pasta carbonara', result: 'a', tags: ['lang:it'] },
+            { query: 'grilled salmon', result: 'b' },
+            { query: 'weather today', result: 'c', ttl: 60 },
+        ], { batchSize: 2 });
+
+        assert.equal(stored, 3);
+        assert.deepEqual(provider.batches, [['pasta carbonara', 'grilled salmon'], ['weather today']]);
+        assert.equal(provider.single, 0);
+
+        const hit = await cache.get('pasta carbonara', { tags: ['lang:it'] });
+        assert.equal(hit.result, 'a');
+    });
+
+    it('looks up many queries, embedding only the non-exact ones in one batch', async function () {
+        provider.batches = [];
+
+        const hits = await cache.getMany(['pasta carbonara', 'pasta with cream', 'salmon recipe', 'unknown thing']);
+
+        assert.deepEqual(hits.map(hit => hit && hit.result), ['a', 'a', 'b', 'c']);
+        assert.deepEqual(provider.batches, [['pasta with cream', 'salmon recipe', 'unknown thing']]);
+    });
+
+    it('reuses memoized embeddings and de-duplicates texts within a batch', async function () {
+        provider.batches = [];
+
+        await cache.getMany(['pasta with cream', 'new pasta', 'new pasta']);
+        assert.deepEqual(provider.batches, [['new pasta']]);
+    });
+
+    it('falls back to one call per text for providers without getEmbeddingsBatch', async function () {
+        const calls = [];
+        const plain = new SeekMix({
+            dbPath: ':memory:',
+            embeddingProvider: {
+                model: 'dummy-plain',
+                dimensions: 3,
+                async getEmbeddings(text) {
+                    calls.push(text);
+                    return vectorFor(text);
+                }
+            },
+        });
+        await plain.connect();
+
+        await plain.setMany([
+            { query: 'pasta', result: 1 },
+            { query: 'salmon', result: 2 },
+        ]);
+
+        assert.deepEqual(calls, ['pasta', 'salmon']);
+        await plain.disconnect();
+    });
+});
@@ -0,0 +1,222 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const { strict: assert } = require('assert');
+const http = require('http');
+const { SeekMix, cachedChatCompletion, ChatCompletionError, EmbeddingProviderError } = require('../index');
+
+// Questions about pasta share a direction, everything else is orthogonal
+const embeddingProvider = {
+    model: 'dummy',
+    dimensions: 3,
+    async getEmbeddings(text) {
+        if (text.includes('pasta')) return [1, 0, 0];
+        if (text.includes('salmon')) return [0, 1, 0];
+        return [0, 0, 1];
+    }
+};
+
+describe('cachedChatCompletion()', function () {
+    let server;
+    let baseURL;
+    let requests;
+    let cache;
+
+    // Mock of /chat/completions answering with a numbered completion
+    before(async function () {
+        server = http.createServer((req, res) => {
+            let raw = '';
+            req.on('data', chunk => (raw += chunk));
+            req.on('end', () => {
+                const body = JSON.parse(raw);
+                requests.push({ headers: req.headers, body });
+
+                if (body.model === 'broken') {
+                    res.writeHead(400, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ error: { message: 'unknown model' } }));
+                    return;
+                }
+                if (body.model === 'overloaded') {
+                    res.writeHead(503, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ error: { message: 'try again later' } }));
+                    return;
+                }
+
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({
+                    id: `chatcmpl-${requests.length}`,
+                    object: 'chat.completion',
+                    model: body.model,
+                    choices: [{
+                        index: 0,
+                        message: { role: 'assistant', content: `answer ${requests.length}` },
+                        finish_reason: 'stop',
+                    }],
+                    usage: { prompt_tokens: 10, completion_tokens: 2, total_tokens: 12 },
+                }));
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseURL = `http://127.0.0.1:${server.address().port}/v1`;
+    });
+
+    beforeEach(async function () {
+        requests = [];
+        if (cache) await cache.disconnect();
+        cache = new SeekMix({ dbPath: ':memory:', embeddingProvider });
+        await cache.connect();
+    });
+
+    after(async function () {
+        await cache.disconnect();
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    const ask = (question, params = {}) => ({
+        model: 'gpt-4o-mini',
+        temperature: 0,
+        messages: [
+            { role: 'system', content: 'You are a chef.' },
+            { role: 'user', content: question },
+        ],
+        ...params,
+    });
+
+    it('answers similar questions from the cache in the upstream shape', async function () {
+        const create = cachedChatCompletion(cache, { baseURL, apiKey: 'sk-test' });
+
+        const first = await create(ask('How do I cook pasta?'));
+        const second = await create(ask('What is the way to cook pasta?'));
+        assert.equal(requests.length, 1);
+        assert.equal(requests[0].headers.authorization, 'Bearer sk-test');
+        assert.deepEqual(second, first);
+        assert.equal(second.choices[0].message.content, 'answer 1');
+
+        await create(ask('How do I grill salmon?'));
+        assert.equal(requests.length, 2);
+    });
+
+    it('keeps answers apart by model, system prompt, temperature and tools', async function () {
+        const create = cachedChatCompletion(cache, { baseURL }, { maxTemperature: 0.5 });
+        const tool = { type: 'function', function: { name: 'lookup', parameters: { type: 'object', properties: {} } } };
+
+        await create(ask('How do I cook pasta?'));
+        await create(ask('How do I cook pasta?', { model: 'gpt-4o' }));
+        await create(ask('How do I cook pasta?', { temperature: 0.2 }));
+        await create(ask('How do I cook pasta?', { tools: [tool] }));
+        await create({ ...ask('How do I cook pasta?'), messages: [{ role: 'user', content: 'How do I cook pasta?' }] });
+        assert.equal(requests.length, 5);
+
+        // Every scope kept its own answer to the same question
+        const reordered = { function: { parameters: { properties: {}, type: 'object' }, name: 'lookup' }, type: 'function' };
+        assert.equal((await create(ask('Cooking pasta, how?', { tools: [reordered] }))).choices[0].message.content, 'answer 4');
+        assert.equal((await create(ask('How do I cook pasta?'))).choices[0].message.content, 'answer 1');
+        assert.equal(requests.length, 5);
+
+        // Extra scope fields from the caller
+        const spanish = cachedChatCompletion(cache, { baseURL }, { scope: { locale: 'es' } });
+        await spanish(ask('How do I cook pasta?'));
+        assert.equal(requests.length, 6);
+    });
+
+    it('keeps answers apart by earlier turns and output settings', async function () {
+        const create = cachedChatCompletion(cache, { baseURL });
+        const followUp = city => ({
+            model: 'gpt-4o-mini',
+            temperature: 0,
+            messages: [
+                { role: 'user', content: `Tell me about ${city}` },
+                { role: 'assistant', content: `${city} is a big city.` },
+                { role: 'user', content: 'How many people live there?' },
+            ],
+        });
+
+        const paris = await create(followUp('Paris'));
+        const tokyo = await create(followUp('Tokyo'));
+        assert.notDeepEqual(tokyo, paris);
+        assert.deepEqual(await create(followUp('Tokyo')), tokyo);
+        assert.equal(requests.length, 2);
+
+        await create(ask('How do I cook pasta?', { max_tokens: 10 }));
+        await create(ask('How do I cook pasta?', { max_tokens: 20 }));
+        await create(ask('How do I cook pasta?', { stop: ['\n'] }));
+        await create(ask('How do I cook pasta?', { seed: 7 }));
+        // Fields that don't change the answer share it
+        await create(ask('How do I cook pasta?', { seed: 7, user: 'someone-else' }));
+        assert.equal(requests.length, 6);
+    });
+
+    it('always goes upstream for non-deterministic or unsupported requests', async function () {
+        const create = cachedChatCompletion(cache, { baseURL });
+        const question = 'How do I cook pasta?';
+
+        await create(ask(question, { temperature: 0.7 }));
+        await create(ask(question, { temperature: 0.7 }));
+        await create({ model: 'gpt-4o-mini', messages: [{ role: 'user', content: question }] });
+        await create(ask(question, { n: 2 }));
+        await create(ask(question, { stream: true }));
+        await create({
+            ...ask(question),
+            messages: [...ask(question).messages, { role: 'assistant', content: 'Boil it.' }, { role: 'tool', content: '{}' }],
+        });
+        await create(ask([
+            { type: 'text', text: question },
+            { type: 'image_url', image_url: { url: 'https://example.com/pasta.png' } },
+        ]));
+        assert.equal(requests.length, 7);
+        assert.equal((await cache.stats()).entries, 0);
+    });
+
+    it('reads the text parts of multi-part messages', async function () {
+        const create = cachedChatCompletion(cache, { baseURL });
+        await create(ask([{ type: 'text', text: 'How do I cook pasta?' }]));
+        await create(ask('How do I cook pasta?'));
+        assert.equal(requests.length, 1);
+    });
+
+    it('wraps SDK clients and plain functions', async function () {
+        const calls = [];
+        const sdk = {
+            chat: {
+                completions: {
+                    async create(params) {
+                        calls.push(params);
+                        return { choices: [{ message: { role: 'assistant', content: 'boil' } }] };
+                    }
+                }
+            }
+        };
+        const create = cachedChatCompletion(cache, sdk, { tags: ['chef'], ttl: 60 });
+        await create(ask('How do I cook pasta?'));
+        await create(ask('How do I cook pasta?'));
+        assert.equal(calls.length, 1);
+
+        const [entry] = await cache.list();
+        assert.deepEqual(entry.tags, ['chef']);
+        assert.match(entry.scope, /^[0-9a-f]{64}$/);
+        assert.ok(entry.expiresAt > Date.now());
+
+        const fn = cachedChatCompletion(cache, async () => ({ choices: [] }));
+        assert.deepEqual(await fn(ask('How do I grill salmon?')), { choices: [] });
+
+        assert.throws(() => cachedChatCompletion(cache, {}), /needs an OpenAI client/);
+    });
+
+    it('does not cache upstream errors', async function () {
+        const create = cachedChatCompletion(cache, { baseURL, maxRetries: 0 });
+        await assert.rejects(() => create(ask('How do I cook pasta?', { model: 'broken' })), { status: 400 });
+        await assert.rejects(() => create(ask('How do I cook pasta?', { model: 'broken' })), { status: 400 });
+        assert.equal(requests.length, 2);
+    });
+
+    it('sends a failed completion only once and reports it as a chat error', async function () {
+        const create = cachedChatCompletion(cache, { baseURL });
+        await assert.rejects(() => create(ask('How do I cook pasta?', { model: 'overloaded' })), (error) => {
+            assert.ok(error instanceof ChatCompletionError);
+            assert.ok(!(error instanceof EmbeddingProviderError));
+            assert.equal(error.name, 'ChatCompletionError');
+            assert.equal(error.status, 503);
+            assert.equal(error.provider, 'cachedChatCompletion');
+            return true;
+        });
+        assert.equal(requests.length, 1);
+    });
+});
@@ -0,0 +1,149 @@
+const { describe, it, before, after } = require('node:test');
+const { strict: assert } = require('assert');
+const { execFile, spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SeekMix } = require('../index');
+
+const bin = path.join(__dirname, '..', 'bin', 'seekmix.js');
+
+// Runs the CLI and resolves with its exit code and output, failing or not
+const run = (...args) => new Promise((resolve) => {
+    execFile(process.execPath, [bin, ...args], { timeout: 30000 }, (error, stdout, stderr) => {
+        resolve({ code: error ? error.code : 0, stdout, stderr });
+    });
+});
+
+const providerSource = `
+module.exports = {
+    model: 'dummy/model',
+    dimensions: 3,
+    async getEmbeddings(text) {
+        return text.toLowerCase().includes('pasta') ? [1, 0, 0] : [0, 1, 0];
+    }
+};
+`;
+
+describe('seekmix CLI', function () {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'seekmix-cli-'));
+    const dbPath = path.join(dir, 'cache.db');
+    const configPath = path.join(dir, 'config.js');
+
+    before(async function () {
+        fs.writeFileSync(path.join(dir, 'provider.js'), providerSource);
+        fs.writeFileSync(configPath, `module.exports = { embeddingProvider: require('./provider'), normalize: true };\n`);
+
+        const cache = new SeekMix({ dbPath, ...require(configPath) });
+        await cache.connect();
+        await cache.set('Pasta recipe?', { answer: 'boil' }, { tags: ['faq'] });
+        await cache.set('Salmon recipe', 'grill', { tags: ['draft'] });
+        await cache.set('Bread recipe', 'bake', { namespace: 'acme' });
+        await cache.disconnect();
+    });
+
+    after(function () {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('lists the table pairs in a file', async function () {
+        const { code, stdout } = await run('tables', '--db', dbPath, '--json');
+        assert.equal(code, 0);
+        const [table] = JSON.parse(stdout);
+        assert.equal(table.model, 'dummy/model');
+        assert.equal(table.cacheTable, 'cache_dummy_model');
+        assert.equal(table.vecTable, 'vec_dummy_model');
+        assert.equal(table.normalization, 'nfkc|lowercase|punctuation|whitespace');
+        assert.equal(table.entries, 3);
+
+        assert.match((await run('tables', '-d', dbPath)).stdout, /dummy\/model\s+3\s+3\s+float\s+cosine/);
+    });
+
+    it('shows stats and lists entries without an embedding provider', async function () {
+        const stats = JSON.parse((await run('stats', '-d', dbPath, '--json')).stdout);
+        assert.equal(stats.entries, 3);
+        assert.deepEqual(stats.tags, { draft: 1, faq: 1 });
+
+        const { stdout } = await run('list', '-d', dbPath, '--exclude-tags', 'draft');
+        assert.match(stdout, /^STORED\s+HITS\s+TAGS\s+QUERY\s+RESULT/);
+        assert.match(stdout, /faq\s+Pasta recipe\?\s+\{"answer":"boil"\}/);
+        assert.doesNotMatch(stdout, /Salmon/);
+
+        const all = JSON.parse((await run('list', '-d', dbPath, '--all-namespaces', '--json')).stdout);
+        assert.deepEqual(all.map(entry => entry.query).sort(), ['Bread recipe', 'Pasta recipe?', 'Salmon recipe']);
+    });
+
+    it('queries with the provider from a config module', async function () {
+        const { code, stdout } = await run('query', 'how to cook PASTA', '-d', dbPath, '-c', configPath, '--json');
+        assert.equal(code, 0);
+        const matches = JSON.parse(stdout);
+        assert.deepEqual(matches.map(match => match.query), ['Pasta recipe?', 'Salmon recipe']);
+        assert.equal(matches[0].similarity, 1);
+
+        const scoped = await run('query', 'pasta in spanish', '-d', dbPath, '-c', configPath, '--scope', '{"locale":"es"}', '--json');
+        assert.deepEqual(JSON.parse(scoped.stdout), []);
+    });
+
+    it('explains what is missing when a command needs embeddings', async function () {
+        const { code, stderr } = await run('query', 'pasta', '-d', dbPath);
+        assert.equal(code, 1);
+        assert.match(stderr, /seekmix: This command embeds text with dummy\/model: pass --config or --provider/);
+    });
+
+    it('exports and imports entries', async function () {
+        const file = path.join(dir, 'export.jsonl');
+        const exported = await run('export', file, '-d', dbPath, '--vectors', '--tags', 'faq');
+        assert.match(exported.stderr, /Exported 1 entry/);
+
+        const target = path.join(dir, 'target.db');
+        const imported = await run('import', file, '-d', target, '-c', configPath);
+        assert.equal(imported.code, 0);
+        assert.match(imported.stdout, /Imported 1 entry \(0 embedded, 0 skipped\)/);
+        assert.match((await run('list', '-d', target)).stdout, /Pasta recipe\?/);
+    });
+
+    it('deletes with the recorded normalization and purges old entries', async function () {
+        const target = path.join(dir, 'target.db');
+        assert.match((await run('delete', 'pasta recipe', '-d', target)).stdout, /Deleted 1 entry/);
+
+        const purged = await run('purge', '--older-than', '0s', '--all-namespaces', '-d', dbPath, '--json');
+        assert.deepEqual(JSON.parse(purged.stdout), { expired: 0, old: 3 });
+    });
+
+    it('serves the cache over HTTP until stopped', async function () {
+        const child = spawn(process.execPath, [bin, 'serve', '--port', '0', '-d', dbPath, '-c', configPath, '--token', 't0k'], {
+            stdio: ['ignore', 'ignore', 'pipe'],
+        });
+        const exited = new Promise(resolve => child.once('exit', resolve));
+
+        try {
+            const url = await new Promise((resolve, reject) => {
+                let output = '';
+                child.stderr.on('data', (chunk) => {
+                    output += chunk;
+                    const match = /Serving dummy\/model on (http:\/\/\S+)/.exec(output);
+                    if (match) resolve(match[1]);
+                });
+                child.once('exit', () => reject(new Error(`serve exited: ${output}`)));
+            });
+
+            const response = await fetch(`${url}/get`, {
+                method: 'POST',
+                headers: { Authorization: 'Bearer t0k' },
+                body: JSON.stringify({ query: 'how to cook pasta', namespace: 'acme' }),
+            });
+            assert.equal(response.status, 200);
+            assert.deepEqual(await response.json(), { hit: null });
+        } finally {
+            child.kill('SIGTERM');
+        }
+        assert.equal(await exited, 0);
+    });
+
+    it('rejects unknown commands and missing files', async function () {
+        assert.match((await run('vacuum')).stderr, /Unknown command "vacuum"/);
+        assert.match((await run('stats', '-d', path.join(dir, 'missing.db'))).stderr, /missing\.db does not exist/);
+        assert.match((await run('purge', '--older-than', 'soon', '-d', dbPath)).stderr, /Invalid duration "soon"/);
+        assert.match((await run('delete', 'pasta', '-d', dbPath, '--scope', 'es')).stderr, /--scope must be a JSON object/);
+    });
+});
@@ -0,0 +1,141 @@
+const { describe, it, before, after } = require('node:test');
+const { strict: assert } = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SeekMix } = require('../index');
+
+describe('SeekMix exact-match fast path and embedding cache', function () {
+    let dbPath;
+    let calls;
+
+    const embeddingProvider = {
+        model: 'dummy',
+        dimensions: 3,
+        async getEmbeddings(text) {
+            calls.push(text);
+            if (text.includes('pasta')) return [1, 0.5, 0.25];
+            return [0, 0, 1];
+        }
+    };
+
+    const open = async (options = {}) => {
+        const cache = new SeekMix({ dbPath, embeddingProvider, similarityThreshold: 0.9, ...options });
+        await cache.connect();
+        return cache;
+    };
+
+    before(function () {
+        dbPath = path.join(os.tmpdir(), `seekmix-embeddings-${process.pid}.db`);
+        calls = [];
+    });
+
+    after(function () {
+        fs.rmSync(dbPath, { force: true });
+    });
+
+    it('answers exact queries without embedding', async function () {
+        const cache = await open({ dropIndex: true });
+        await cache.set('how to cook pasta', 'boil it');
+        calls = [];
+
+        const hit = await cache.get('how to cook pasta');
+        assert.equal(hit.result, 'boil it');
+        assert.equal(hit.score, 0);
+        assert.deepEqual(calls, []);
+
+        await cache.disconnect();
+    });
+
+    it('still applies tag filters on exact matches', async function () {
+        const cache = await open();
+        await cache.set('pasta for kids', 'mild', { tags: ['lang:en'] });
+
+        assert.equal(await cache.get('pasta for kids', { tags: ['lang:es'] }), null);
+        assert.equal((await cache.get('pasta for kids', { tags: ['lang:en'] })).result, 'mild');
+
+        await cache.disconnect();
+    });
+
+    it('reuses stored embeddings across connections', async function () {
+        const cache = await open();
+        calls = [];
+
+        await cache.set('best pasta sauce', 'pesto');
+        await cache.disconnect();
+
+        const reopened = await open();
+        await reopened.delete('best pasta sauce');
+        await reopened.set('best pasta sauce', 'tomato');
+        assert.ok(await reopened.search('best pasta sauce', { k: 1 }));
+
+        assert.deepEqual(calls, ['best pasta sauce']);
+        assert.equal(reopened.embeddingCacheStats().hits, 2);
+        assert.equal(reopened.embeddingCacheStats().misses, 0);
+
+        await reopened.disconnect();
+    });
+
+    it('returns the same vector it stored', async function () {
+        const cache = await open();
+        const first = await cache._embed('pasta al dente');
+        const second = await cache._embed('pasta al dente');
+
+        assert.deepEqual(second, first);
+        const { hits, misses } = cache.embeddingCacheStats();
+        assert.deepEqual({ hits, misses }, { hits: 1, misses: 1 });
+
+        await cache.disconnect();
+    });
+
+    it('can be disabled', async function () {
+        const cache = await open({ embeddingCache: false });
+        calls = [];
+
+        await cache._embed('pasta once');
+        await cache._embed('pasta once');
+
+        assert.equal(calls.length, 2);
+        await cache.disconnect();
+    });
+
+    it('keeps only the newest embeddingCacheSize embeddings', async function () {
+        const cache = await open({ dropIndex: true, embeddingCacheSize: 5 });
+        for (let i = 0; i < 20; i++) await cache.get(`question ${i}`);
+        assert.equal(cache.embeddingCacheStats().size, 5);
+
+        calls = [];
+        await cache._embed('question 19');
+        await cache._embed('question 0');
+        assert.deepEqual(calls, ['question 0']);
+
+        await cache.disconnect();
+    });
+
+    it('counts memoized embeddings against maxBytes before evicting entries', async function () {
+        const cache = await open({ dropIndex: true, maxBytes: 1024 });
+        await cache.set('how to cook pasta', 'boil it');
+        // Lookups only memoize; the byte limit is enforced when an entry is written
+        for (let i = 0; i < 50; i++) await cache.get(`unrelated question number ${i}`);
+        assert.equal(cache.embeddingCacheStats().size, 51);
+
+        await cache.set('pasta for two', 'double it');
+        const bytes = (sql) => cache.db.prepare(sql).get().bytes;
+        const entryBytes = bytes(`SELECT sum(${cache._entryBytesSql()}) AS bytes FROM "${cache._cacheTable}"`);
+        const memoBytes = bytes(`SELECT coalesce(sum(length(CAST(model AS BLOB)) + length(hash) + length(embedding) + 16), 0) AS bytes FROM seekmix_embeddings`);
+        assert.ok(cache.embeddingCacheStats().size > 0);
+        assert.ok(entryBytes + memoBytes <= 1024);
+        assert.equal(memoBytes, cache._embeddingTotals().bytes);
+        assert.equal((await cache.get('how to cook pasta')).result, 'boil it');
+
+        await cache.disconnect();
+    });
+
+    it('forgets memoized embeddings on dropKeys()', async function () {
+        const cache = await open();
+        await cache._embed('pasta to forget');
+        await cache.dropKeys();
+        assert.equal(cache.embeddingCacheStats().size, 0);
+        await cache.disconnect();
+    });
+});
@@ -0,0 +1,126 @@
+const { describe, it } = require('node:test');
+const { strict: assert } = require('assert');
+const { SeekMix } = require('../index');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// One axis per question so every query only matches itself.
+const embeddingProvider = {
+    model: 'dummy',
+    dimensions: 4,
+    async getEmbeddings(text) {
+        const axis = { a: 0, b: 1, c: 2, d: 3 }[text.slice(-1)];
+        const vector = [0, 0, 0, 0];
+        vector[axis] = 1;
+        return vector;
+    }
+};
+
+const open = async (options) => {
+    const cache = new SeekMix({ dbPath: ':memory:', embeddingProvider, dropIndex: true, ...options });
+    await cache.connect();
+    return cache;
+};
+
+const queries = (cache) => cache.db
+    .prepare(`SELECT query FROM "${cache._cacheTable}" ORDER BY query`)
+    .all()
+    .map(row => row.query);
+
+const vectorCount = (cache) => cache.db.prepare(`SELECT count(*) AS n FROM "${cache._vecTable}"`).get().n;
+
+describe('SeekMix size-bounded eviction', function () {
+
+    it('evicts the least recently used entry by default', async function () {
+        const cache = await open({ maxEntries: 2 });
+
+        await cache.set('question a', 1);
+        await sleep(5);
+        await cache.set('question b', 2);
+        await sleep(5);
+        await cache.get('question a');
+        await sleep(5);
+        await cache.set('question c', 3);
+
+        assert.deepEqual(queries(cache), ['question a', 'question c']);
+        assert.equal(vectorCount(cache), 2);
+        await cache.disconnect();
+    });
+
+    it('evicts the least frequently used entry with lfu', async function () {
+        const cache = await open({ maxEntries: 2, evictionPolicy: 'lfu' });
+
+        await cache.set('question a', 1);
+        await cache.set('question b', 2);
+        await cache.get('question a');
+        await cache.get('question a');
+        await cache.get('question b');
+        await cache.set('question c', 3);
+
+        assert.deepEqual(queries(cache), ['question a', 'question c']);
+        await cache.disconnect();
+    });
+
+    it('evicts the oldest entry regardless of access with oldest', async function () {
+        const cache = await open({ maxEntries: 2, evictionPolicy: 'oldest' });
+
+        await cache.set('question a', 1);
+        await sleep(5);
+        await cache.set('question b', 2);
+        await cache.get('question a');
+        await cache.set('question c', 3);
+
+        assert.deepEqual(queries(cache), ['question b', 'question c']);
+        await cache.disconnect();
+    });
+
+    it('keeps the estimated size under maxBytes', async function () {
+        const cache = await open({ maxBytes: 200, evictionPolicy: 'oldest' });
+
+        await cache.set('question a', 'x'.repeat(60));
+        await cache.set('question b', 'x'.repeat(60));
+        await cache.set('question c', 'x'.repeat(60));
+
+        assert.deepEqual(queries(cache), ['question c']);
+        await cache.disconnect();
+    });
+
+    it('keeps a running size that matches the table through writes, deletes and rollbacks', async function () {
+        const cache = await open({ maxBytes: 1024 * 1024, embeddingCache: false });
+        const measured = () => cache.db.prepare(`
+            SELECT count(*) AS entries, coalesce(sum(${cache._entryBytesSql()}), 0) AS bytes FROM "${cache._cacheTable}"
+        `).get();
+
+        await cache.set('question a', 'short');
+        await cache.set('question a', 'a much longer result than before');
+        await cache.setMany([{ query: 'question b', result: 2 }, { query: 'question c', result: 3, tags: ['x'] }]);
+        await cache.delete('question b');
+        assert.deepEqual({ ...cache._size }, measured());
+
+        // A batch that fails halfway rolls back every entry it wrote
+        await assert.rejects(cache.setMany([{ query: 'question d', result: 4 }, { query: 'question d', result: undefined }]));
+        await cache.set('question b', 'again');
+        assert.deepEqual({ ...cache._size }, measured());
+
+        await cache.dropKeys();
+        await cache.set('question d', 4);
+        assert.deepEqual({ ...cache._size }, measured());
+        await cache.disconnect();
+    });
+
+    it('tracks hit counts on semantic and exact hits', async function () {
+        const cache = await open();
+
+        await cache.set('question a', 1);
+        await cache.get('question a');
+        await cache.get('another a');
+
+        const row = cache.db.prepare(`SELECT hit_count FROM "${cache._cacheTable}"`).get();
+        assert.equal(row.hit_count, 2);
+        await cache.disconnect();
+    });
+
+    it('rejects unknown eviction policies', function () {
+        assert.throws(() => new SeekMix({ embeddingProvider, evictionPolicy: 'random' }), /Unknown eviction policy/);
+    });
+});
@@ -0,0 +1,147 @@
+const { describe, it, afterEach } = require('node:test');
+const { strict: assert } = require('assert');
+const { PassThrough, Readable } = require('stream');
+const { SeekMix } = require('../index');
+
+const provider = (model = 'staging-model') => ({
+    model,
+    dimensions: 3,
+    embedded: [],
+    async getEmbeddings(text) {
+        this.embedded.push(text);
+        return text.includes('pasta') ? [1, 0, 0] : [0, 1, 0];
+    }
+});
+
+// Collects everything written to a stream into JSON lines
+const capture = () => {
+    const stream = new PassThrough();
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(chunk));
+    stream.lines = () => chunks.join('').trim().split('\n').map(line => JSON.parse(line));
+    return stream;
+};
+
+const jsonl = (entries) => Readable.from(entries.map(entry => `${JSON.stringify(entry)}\n`));
+
+describe('Export and import', function () {
+    const caches = [];
+
+    const open = async (options = {}) => {
+        const cache = new SeekMix({ dbPath: ':memory:', embeddingProvider: provider(), ...options });
+        await cache.connect();
+        caches.push(cache);
+        return cache;
+    };
+
+    afterEach(async function () {
+        await Promise.all(caches.splice(0).map(cache => cache.disconnect()));
+    });
+
+    it('exports live entries as JSON lines', async function () {
+        const cache = await open();
+        await cache.set('pasta recipe', { answer: 'boil' }, { tags: ['faq', 'cooking'] });
+        await cache.set('salmon recipe', 'grill', { tags: ['draft'] });
+        await cache.set('bread recipe', 'bake', { namespace: 'acme' });
+        await cache.set('old recipe', 'gone', { ttl: 0.001 });
+        await new Promise(resolve => setTimeout(resolve, 5));
+
+        const stream = capture();
+        assert.equal(await cache.export(stream), 2);
+        const [entry] = stream.lines();
+        assert.deepEqual(Object.keys(entry), ['query', 'result', 'tags', 'timestamp', 'expiresAt', 'namespace']);
+        assert.deepEqual(entry.result, { answer: 'boil' });
+        assert.deepEqual(entry.tags, ['cooking', 'faq']);
+
+        const filtered = capture();
+        await cache.export(filtered, { tags: { out: ['draft'] } });
+        assert.deepEqual(filtered.lines().map(e => e.query), ['pasta recipe']);
+
+        const everything = capture();
+        await cache.export(everything, { namespace: null, batchSize: 1 });
+        assert.deepEqual(everything.lines().map(e => e.namespace), ['', '', 'acme']);
+    });
+
+    it('reuses exported vectors when the model matches', async function () {
+        const staging = await open();
+        await staging.set('pasta recipe', 'boil');
+        const stream = capture();
+        await staging.export(stream, { includeVectors: true });
+        const lines = stream.lines();
+        assert.equal(lines[0].model, 'staging-model');
+        assert.equal(lines[0].vector.length, 3);
+
+        const production = await open();
+        const summary = await production.import(jsonl(lines));
+        assert.deepEqual(summary, { imported: 1, skipped: 0, embedded: 0 });
+        assert.deepEqual(production.embeddingProvider.embedded, []);
+        assert.equal((await production.get('fresh pasta')).result, 'boil');
+        assert.equal((await production.get('pasta recipe')).timestamp, lines[0].timestamp);
+    });
+
+    it('re-embeds entries from another model or when asked to', async function () {
+        const lines = [{ query: 'pasta recipe', result: 'boil', model: 'other-model', vector: [0, 0, 1] }];
+
+        const production = await open();
+        assert.equal((await production.import(jsonl(lines))).embedded, 1);
+        assert.deepEqual(production.embeddingProvider.embedded, ['pasta recipe']);
+
+        const forced = await open({ embeddingCache: false });
+        await forced.import(jsonl([{ ...lines[0], model: 'staging-model' }]), { reembed: true });
+        assert.deepEqual(forced.embeddingProvider.embedded, ['pasta recipe']);
+    });
+
+    it('resolves conflicts with onConflict', async function () {
+        const cache = await open();
+        await cache.set('pasta recipe', 'current');
+        const { timestamp } = await cache.get('pasta recipe');
+
+        await cache.import(jsonl([{ query: 'pasta recipe', result: 'older', timestamp: timestamp - 1 }]), { onConflict: 'skip' });
+        assert.equal((await cache.get('pasta recipe')).result, 'current');
+
+        await cache.import(jsonl([{ query: 'pasta recipe', result: 'older', timestamp: timestamp - 1 }]), { onConflict: 'newer' });
+        assert.equal((await cache.get('pasta recipe')).result, 'current');
+
+        await cache.import(jsonl([{ query: 'pasta recipe', result: 'newer', timestamp: timestamp + 1 }]), { onConflict: 'newer' });
+        assert.equal((await cache.get('pasta recipe')).result, 'newer');
+
+        await cache.import(jsonl([{ query: 'pasta recipe', result: 'older', timestamp: timestamp - 1 }]));
+        assert.equal((await cache.get('pasta recipe')).result, 'older');
+
+        await assert.rejects(() => cache.import(jsonl([]), { onConflict: 'merge' }), /Unknown onConflict "merge"/);
+    });
+
+    it('keeps exported namespaces unless one is given', async function () {
+        const cache = await open();
+        await cache.import(jsonl([{ query: 'pasta recipe', result: 'boil', namespace: 'acme' }]));
+        assert.equal(await cache.get('pasta recipe'), null);
+        assert.equal((await cache.get('pasta recipe', { namespace: 'acme' })).result, 'boil');
+
+        await cache.import(jsonl([{ query: 'salmon recipe', result: 'grill', namespace: 'acme' }]), { namespace: 'globex' });
+        assert.equal((await cache.get('salmon recipe', { namespace: 'globex' })).result, 'grill');
+    });
+
+    it('keeps scopes across export and import', async function () {
+        const staging = await open();
+        await staging.set('pasta recipe', 'receta', { scope: { locale: 'es' } });
+        await staging.set('pasta recipe', 'recipe');
+        const stream = capture();
+        await staging.export(stream);
+        const lines = stream.lines();
+        assert.match(lines[0].scope, /^[0-9a-f]{64}$/);
+        assert.equal('scope' in lines[1], false);
+
+        const production = await open();
+        await production.import(jsonl([...lines, { query: 'salmon recipe', result: 'salmón', scope: { locale: 'es' } }]));
+        assert.equal((await production.get('pasta recipe', { scope: { locale: 'es' } })).result, 'receta');
+        assert.equal((await production.get('pasta recipe')).result, 'recipe');
+        assert.equal((await production.get('salmon recipe', { scope: { locale: 'es' } })).result, 'salmón');
+    });
+
+    it('reports the line of malformed input', async function () {
+        const cache = await open();
+        const input = Readable.from(['{"query":"pasta","result":1}\n', '\n', '{not json}\n']);
+        await assert.rejects(() => cache.import(input), /Invalid JSON on line 3/);
+        await assert.rejects(() => cache.import(jsonl([{ result: 1 }])), /Line 1 of the import has no query/);
+    });
+});
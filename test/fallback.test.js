@@ -0,0 +1,120 @@
+const { describe, it } = require('node:test');
+const { strict: assert } = require('assert');
+const {
+    SeekMix,
+    FallbackEmbeddingProvider,
+    OpenAIEmbedding3Provider,
+    OpenAIEmbedding3SmallRouterProvider,
+    OpenAIEmbedding3LargeRouterProvider,
+} = require('../index');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Same model served by two hosts; `down` makes a host fail
+const host = (model, state) => ({
+    model,
+    dimensions: 3,
+    calls: 0,
+    async getEmbeddings(text) {
+        this.calls++;
+        if (state.down) throw new Error(`${model} is down`);
+        return text.includes('pasta') ? [1, 0, 0] : [0, 1, 0];
+    }
+});
+
+describe('FallbackEmbeddingProvider', function () {
+
+    it('uses the next provider when the first one fails', async function () {
+        const primaryState = { down: true };
+        const primary = host('openai/text-embedding-3-small', primaryState);
+        const secondary = host('text-embedding-3-small', {});
+        const provider = new FallbackEmbeddingProvider([primary, secondary]);
+
+        assert.deepEqual(await provider.getEmbeddings('pasta'), [1, 0, 0]);
+        assert.equal(primary.calls, 1);
+        assert.equal(secondary.calls, 1);
+        assert.equal(provider.model, 'openai/text-embedding-3-small');
+    });
+
+    it('skips a failing provider until its cooldown is over', async function () {
+        const primaryState = { down: true };
+        const primary = host('text-embedding-3-small', primaryState);
+        const secondary = host('text-embedding-3-small', {});
+        const provider = new FallbackEmbeddingProvider([primary, secondary], { cooldown: 50 });
+
+        await provider.getEmbeddings('pasta');
+        await provider.getEmbeddings('pasta');
+        await provider.getEmbeddingsBatch(['pasta', 'salmon']);
+        assert.equal(primary.calls, 1);
+
+        primaryState.down = false;
+        await sleep(60);
+        await provider.getEmbeddings('pasta');
+        assert.equal(primary.calls, 2);
+        assert.equal(secondary.calls, 4);
+    });
+
+    it('opens the circuit only after failureThreshold consecutive failures', async function () {
+        const primary = host('text-embedding-3-small', { down: true });
+        const secondary = host('text-embedding-3-small', {});
+        const provider = new FallbackEmbeddingProvider([primary, secondary], { failureThreshold: 2 });
+
+        await provider.getEmbeddings('pasta');
+        await provider.getEmbeddings('pasta');
+        await provider.getEmbeddings('pasta');
+        assert.equal(primary.calls, 2);
+    });
+
+    it('throws the last error when every provider fails', async function () {
+        const provider = new FallbackEmbeddingProvider([
+            host('text-embedding-3-small', { down: true }),
+            host('openai/text-embedding-3-small', { down: true }),
+        ]);
+        await assert.rejects(() => provider.getEmbeddings('pasta'), /openai\/text-embedding-3-small is down/);
+    });
+
+    it('accepts the same model from OpenAI and OpenRouter', function () {
+        const provider = new FallbackEmbeddingProvider([
+            new OpenAIEmbedding3Provider({ apiKey: 'k' }),
+            new OpenAIEmbedding3SmallRouterProvider({ apiKey: 'k' }),
+        ]);
+        assert.equal(provider.dimensions, 1536);
+    });
+
+    it('refuses providers serving different models', function () {
+        assert.throws(() => new FallbackEmbeddingProvider([
+            new OpenAIEmbedding3Provider({ apiKey: 'k' }),
+            new OpenAIEmbedding3LargeRouterProvider({ apiKey: 'k' }),
+        ]), { code: 'SEEKMIX_INCOMPATIBLE_PROVIDERS' });
+
+        assert.throws(() => new FallbackEmbeddingProvider([
+            host('text-embedding-3-small', {}),
+            { ...host('text-embedding-3-small', {}), dimensions: 512 },
+        ]), /512 dimensions instead of 3/);
+    });
+
+    it('lets providers declare a shared family', function () {
+        const local = { ...host('my-gateway-embedder', {}), family: 'e5-large' };
+        const remote = { ...host('intfloat/multilingual-e5-large', {}), family: 'e5-large' };
+        assert.doesNotThrow(() => new FallbackEmbeddingProvider([local, remote]));
+    });
+
+    it('keeps the cache working while the primary is down', async function () {
+        const primaryState = { down: false };
+        const cache = new SeekMix({
+            dbPath: ':memory:',
+            embeddingProvider: new FallbackEmbeddingProvider([
+                host('text-embedding-3-small', primaryState),
+                host('openai/text-embedding-3-small', {}),
+            ]),
+            embeddingCache: false,
+        });
+        await cache.connect();
+
+        await cache.set('pasta recipe', 'boil');
+        primaryState.down = true;
+        assert.equal((await cache.get('how to cook pasta')).result, 'boil');
+
+        await cache.disconnect();
+    });
+});
@@ -0,0 +1,180 @@
+const { describe, it, afterEach } = require('node:test');
+const { strict: assert } = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    SeekMix,
+    BaseEmbeddingProvider,
+    HuggingfaceProvider,
+    MultilingualE5LargeProvider,
+    QwenEmbeddingProvider,
+    BgeM3EmbeddingProvider,
+    FallbackEmbeddingProvider,
+} = require('../index');
+
+// Records what it was asked to embed; every input lands on the same axis
+class RecordingProvider extends BaseEmbeddingProvider {
+    constructor(options) {
+        super({ model: 'recording', dimensions: 3, ...options });
+        this.inputs = [];
+    }
+
+    async getEmbeddings(text) {
+        this.inputs.push(text);
+        return [1, 0, 0];
+    }
+}
+
+describe('Query/passage input templates', function () {
+
+    it('ships presets for E5, BGE and Qwen3', function () {
+        const e5 = new RecordingProvider({ inputTemplate: 'e5' });
+        assert.equal(e5.formatInput('pasta', 'query'), 'query: pasta');
+        assert.equal(e5.formatInput('pasta', 'passage'), 'query: pasta');
+
+        const bge = new RecordingProvider({ inputTemplate: 'bge' });
+        assert.match(bge.formatInput('pasta', 'query'), /^Represent this sentence .*: pasta$/);
+        assert.equal(bge.formatInput('pasta', 'passage'), 'pasta');
+
+        const qwen = new RecordingProvider({ inputTemplate: 'qwen3' });
+        assert.match(qwen.formatInput('pasta', 'query'), /^Instruct: .*\nQuery:pasta$/);
+        assert.equal(qwen.formatInput('pasta', 'passage'), 'pasta');
+    });
+
+    it('leaves text untouched without a template', function () {
+        const provider = new RecordingProvider();
+        assert.equal(provider.formatInput('$& pasta', 'query'), '$& pasta');
+    });
+
+    it('accepts custom templates as strings or functions', function () {
+        const provider = new RecordingProvider({
+            inputTemplate: { query: 'search: {text}', passage: text => `doc: ${text.toUpperCase()}` },
+        });
+        assert.equal(provider.formatInput('$& pasta', 'query'), 'search: $& pasta');
+        assert.equal(provider.formatInput('pasta', 'passage'), 'doc: PASTA');
+    });
+
+    it('picks presets by default for the models that need them', function () {
+        assert.equal(new HuggingfaceProvider().formatInput('x', 'query'), 'query: x');
+        assert.equal(new HuggingfaceProvider({ model: 'Xenova/all-MiniLM-L6-v2' }).formatInput('x', 'query'), 'x');
+        assert.equal(new MultilingualE5LargeProvider({ apiKey: 'k' }).formatInput('x', 'passage'), 'query: x');
+        assert.match(new QwenEmbeddingProvider({ apiKey: 'k' }).formatInput('x', 'query'), /^Instruct:/);
+        assert.equal(new BgeM3EmbeddingProvider({ apiKey: 'k' }).formatInput('x', 'query'), 'x');
+        assert.equal(new MultilingualE5LargeProvider({ apiKey: 'k', inputTemplate: null }).formatInput('x'), 'x');
+    });
+
+    it('rejects unknown presets', function () {
+        assert.throws(() => new RecordingProvider({ inputTemplate: 'e6' }), /Unknown input template "e6"/);
+    });
+
+    it('delegates formatting to the primary of a fallback chain', function () {
+        const chain = new FallbackEmbeddingProvider([
+            new RecordingProvider({ inputTemplate: 'bge' }),
+            new RecordingProvider({ inputTemplate: 'bge' }),
+        ]);
+        assert.match(chain.formatInput('x', 'query'), /^Represent this sentence .*: x$/);
+    });
+
+    describe('in SeekMix', function () {
+        const asymmetric = { query: 'query: {text}', passage: 'passage: {text}' };
+        const dbPath = path.join(os.tmpdir(), `seekmix-template-${process.pid}.db`);
+        let cache;
+
+        afterEach(async function () {
+            if (cache) await cache.disconnect();
+            cache = null;
+            fs.rmSync(dbPath, { force: true });
+        });
+
+        it('embeds stored entries as passages and lookups as queries', async function () {
+            const provider = new RecordingProvider({ inputTemplate: asymmetric });
+            cache = new SeekMix({ dbPath, embeddingProvider: provider });
+            await cache.connect();
+
+            await cache.set('pasta recipe', 'boil');
+            await cache.get('cooking pasta');
+            await cache.setMany([{ query: 'salmon recipe', result: 'grill' }]);
+            await cache.search('grilled salmon');
+            assert.deepEqual(provider.inputs, [
+                'passage: pasta recipe',
+                'query: cooking pasta',
+                'passage: salmon recipe',
+                'query: grilled salmon',
+            ]);
+        });
+
+        it('embeds both sides in wrap() and caches them separately', async function () {
+            const provider = new RecordingProvider({ inputTemplate: asymmetric });
+            cache = new SeekMix({ dbPath, embeddingProvider: provider, similarityThreshold: 1.1 });
+            await cache.connect();
+
+            await cache.wrap('pasta recipe', async () => 'boil');
+            assert.deepEqual(provider.inputs, ['query: pasta recipe', 'passage: pasta recipe']);
+            assert.equal(cache.embeddingCacheStats().size, 2);
+        });
+
+        it('embeds an E5 passage like a query, once', async function () {
+            const provider = new RecordingProvider({ inputTemplate: 'e5' });
+            cache = new SeekMix({ dbPath, embeddingProvider: provider, similarityThreshold: 1.1 });
+            await cache.connect();
+
+            await cache.wrap('pasta recipe', async () => 'boil');
+            assert.deepEqual(provider.inputs, ['query: pasta recipe']);
+        });
+
+        it('keeps embedding raw text for entries stored without a template', async function () {
+            cache = new SeekMix({ dbPath, embeddingProvider: new RecordingProvider() });
+            await cache.connect();
+            await cache.set('pasta recipe', 'boil');
+            assert.equal(cache.db.prepare('SELECT input_template FROM seekmix_meta').get().input_template, '');
+            await cache.disconnect();
+
+            const provider = new RecordingProvider({ inputTemplate: 'e5' });
+            cache = new SeekMix({ dbPath, embeddingProvider: provider, embeddingCache: false });
+            await cache.connect();
+            assert.equal((await cache.get('cooking pasta')).result, 'boil');
+            await cache.set('salmon recipe', 'grill');
+            assert.deepEqual(provider.inputs, ['cooking pasta', 'salmon recipe']);
+            assert.equal(cache.db.prepare('SELECT input_template FROM seekmix_meta').get().input_template, '');
+
+            await cache.dropKeys();
+            await cache.set('salmon recipe', 'grill');
+            assert.equal(provider.inputs.at(-1), 'query: salmon recipe');
+            const { input_template: signature } = cache.db.prepare('SELECT input_template FROM seekmix_meta').get();
+            assert.deepEqual(JSON.parse(signature), { query: 'query: {text}', passage: 'query: {text}' });
+        });
+
+        it('refuses tables embedded with another template', async function () {
+            cache = new SeekMix({ dbPath, embeddingProvider: new RecordingProvider({ inputTemplate: asymmetric }) });
+            await cache.connect();
+            await cache.set('pasta recipe', 'boil');
+            await cache.disconnect();
+
+            cache = new SeekMix({ dbPath, embeddingProvider: new RecordingProvider({ inputTemplate: 'e5' }) });
+            await assert.rejects(cache.connect(), (error) => {
+                assert.equal(error.code, 'SEEKMIX_SCHEMA_MISMATCH');
+                assert.doesNotMatch(error.message, /migrate/);
+                assert.deepEqual(JSON.parse(error.stored.inputTemplate), asymmetric);
+                assert.deepEqual(JSON.parse(error.configured.inputTemplate), { query: 'query: {text}', passage: 'query: {text}' });
+                return true;
+            });
+            cache = null;
+
+            cache = new SeekMix({ dbPath, embeddingProvider: new RecordingProvider({ inputTemplate: 'e5' }), rebuildOnMismatch: true });
+            await cache.connect();
+            assert.equal(await cache.get('pasta recipe'), null);
+        });
+
+        it('lets empty tables change template', async function () {
+            cache = new SeekMix({ dbPath, embeddingProvider: new RecordingProvider() });
+            await cache.connect();
+            await cache.disconnect();
+
+            cache = new SeekMix({ dbPath, embeddingProvider: new RecordingProvider({ inputTemplate: 'e5' }) });
+            await cache.connect();
+            await cache.set('pasta recipe', 'boil');
+            assert.equal((await cache.get('pasta recipe')).result, 'boil');
+        });
+    });
+});
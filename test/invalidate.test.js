@@ -0,0 +1,83 @@
+const { describe, it, beforeEach, after } = require('node:test');
+const { strict: assert } = require('assert');
+const { SeekMix } = require('../index');
+
+describe('SeekMix deletion and invalidation', function () {
+    let cache;
+
+    const embeddingProvider = {
+        model: 'dummy',
+        dimensions: 3,
+        async getEmbeddings(text) {
+            if (text.includes('NVDA')) return [1, 0, 0];
+            if (text.includes('nvidia')) return [0.95, 0.05, 0];
+            if (text.includes('AAPL')) return [0, 1, 0];
+            return [0, 0, 1];
+        }
+    };
+
+    const count = () => ({
+        entries: cache.db.prepare(`SELECT count(*) AS n FROM "${cache._cacheTable}"`).get().n,
+        vectors: cache.db.prepare(`SELECT count(*) AS n FROM "${cache._vecTable}"`).get().n,
+    });
+
+    beforeEach(async function () {
+        if (!cache) {
+            cache = new SeekMix({
+                dbPath: ':memory:',
+                embeddingProvider,
+                dropIndex: true,
+                similarityThreshold: 0.9,
+            });
+            await cache.connect();
+        }
+        await cache.dropKeys();
+
+        await cache.set('NVDA price', { p: 1 }, { tags: ['code:NVDA', 'lang:en'] });
+        await cache.set('nvidia quote', { p: 2 }, { tags: ['code:NVDA', 'lang:es'] });
+        await cache.set('AAPL price', { p: 3 }, { tags: ['code:AAPL', 'lang:en'] });
+        await cache.set('weather', { p: 4 }, { tags: ['lang:en'] });
+    });
+
+    after(async function () {
+        await cache.disconnect();
+    });
+
+    it('deletes an entry by exact query', async function () {
+        assert.equal(await cache.delete('AAPL price'), 1);
+        assert.equal(await cache.delete('AAPL price'), 0);
+        assert.deepEqual(count(), { entries: 3, vectors: 3 });
+    });
+
+    it('invalidates entries by tags', async function () {
+        assert.equal(await cache.invalidateByTags(['code:NVDA']), 2);
+        assert.deepEqual(count(), { entries: 2, vectors: 2 });
+    });
+
+    it('supports in/out semantics when invalidating by tags', async function () {
+        assert.equal(await cache.invalidateByTags({ in: ['lang:en'], out: ['code:AAPL'] }), 2);
+        assert.ok(await cache.get('AAPL price'));
+        assert.ok(await cache.get('nvidia quote'));
+    });
+
+    it('ignores an empty tag filter', async function () {
+        assert.equal(await cache.invalidateByTags([]), 0);
+        assert.deepEqual(count(), { entries: 4, vectors: 4 });
+    });
+
+    it('invalidates every entry similar to a query', async function () {
+        assert.equal(await cache.invalidateSimilar('NVDA earnings', 0.9), 2);
+        assert.deepEqual(count(), { entries: 2, vectors: 2 });
+    });
+
+    it('combines similarity and tag filters', async function () {
+        assert.equal(await cache.invalidateSimilar('NVDA earnings', 0.9, { tags: ['lang:es'] }), 1);
+        assert.ok(await cache.get('NVDA price'));
+    });
+
+    it('invalidates entries matching a predicate', async function () {
+        const removed = await cache.invalidateWhere(entry => entry.result.p % 2 === 0);
+        assert.equal(removed, 2);
+        assert.deepEqual(count(), { entries: 2, vectors: 2 });
+    });
+});
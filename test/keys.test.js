@@ -0,0 +1,40 @@
+const { describe, it, before, after } = require('node:test');
+const { strict: assert } = require('assert');
+const { SeekMix } = require('../index');
+
+describe('SeekMix cache keys', function () {
+    let cache;
+
+    const embeddingProvider = {
+        model: 'dummy',
+        dimensions: 3,
+        async getEmbeddings(text) {
+            return text.endsWith('French') ? [1, 0, 0] : [0, 1, 0];
+        }
+    };
+
+    before(async function () {
+        cache = new SeekMix({ dbPath: ':memory:', embeddingProvider, dropIndex: true });
+        await cache.connect();
+    });
+
+    after(async function () {
+        await cache.disconnect();
+    });
+
+    it('keeps long queries that share a prefix as separate entries', async function () {
+        const template = 'You are a helpful assistant. Answer the following question in detail: ';
+        await cache.set(`${template}translate hello to French`, 'bonjour');
+        await cache.set(`${template}translate hello to German`, 'hallo');
+
+        const { n } = cache.db.prepare(`SELECT count(*) AS n FROM "${cache._cacheTable}"`).get();
+        assert.equal(n, 2);
+        assert.equal((await cache.get(`${template}translate hello to French`)).result, 'bonjour');
+        assert.equal((await cache.get(`${template}translate hello to German`)).result, 'hallo');
+    });
+
+    it('derives keys from a hash of the full text', function () {
+        assert.match(cache._generateKey('hello'), /^[0-9a-f]{64}$/);
+        assert.notEqual(cache._generateKey('a'.repeat(100) + 'x'), cache._generateKey('a'.repeat(100) + 'y'));
+    });
+});
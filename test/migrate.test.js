@@ -0,0 +1,157 @@
+const { describe, it, afterEach } = require('node:test');
+const { strict: assert } = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SeekMix } = require('../index');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const oldProvider = {
+    model: 'old-model',
+    dimensions: 3,
+    async getEmbeddings(text) {
+        return text.includes('pasta') ? [1, 0, 0] : [0, 1, 0];
+    }
+};
+
+// The new model has another dimension count; `failAfter` makes it fail after that many texts
+const newProvider = (failAfter = Infinity) => ({
+    model: 'new-model',
+    dimensions: 4,
+    embedded: [],
+    async getEmbeddings(text) {
+        if (this.embedded.length >= failAfter) throw new Error('provider is down');
+        this.embedded.push(text);
+        return text.includes('pasta') ? [0, 0, 0, 1] : [0, 0, 1, 0];
+    }
+});
+
+describe('SeekMix.migrate()', function () {
+    const dbPath = path.join(os.tmpdir(), `seekmix-migrate-${process.pid}.db`);
+    let cache;
+
+    const seed = async (entries) => {
+        cache = new SeekMix({ dbPath, embeddingProvider: oldProvider });
+        await cache.connect();
+        for (const { query, result, ...options } of entries) {
+            await cache.set(query, result, options);
+            await sleep(2);
+        }
+        await cache.disconnect();
+        cache = null;
+    };
+
+    const openNew = async (provider = newProvider()) => {
+        cache = new SeekMix({ dbPath, embeddingProvider: provider });
+        await cache.connect();
+        return cache;
+    };
+
+    afterEach(async function () {
+        if (cache) await cache.disconnect();
+        cache = null;
+        fs.rmSync(dbPath, { force: true });
+    });
+
+    it('re-embeds every entry with the new provider, keeping results, tags and timestamps', async function () {
+        await seed([
+            { query: 'pasta recipe', result: { answer: 'boil' }, tags: ['cooking'] },
+            { query: 'salmon recipe', result: 'grill', namespace: 'acme' },
+        ]);
+
+        cache = new SeekMix({ dbPath, embeddingProvider: oldProvider });
+        await cache.connect();
+        await cache.get('pasta recipe');
+        const before = cache.db.prepare('SELECT query, timestamp, hit_count FROM cache_old_model ORDER BY id').all();
+        await cache.disconnect();
+        cache = null;
+
+        const progress = [];
+        const provider = newProvider();
+        const report = await SeekMix.migrate({
+            dbPath,
+            from: oldProvider,
+            to: provider,
+            batchSize: 1,
+            onProgress: (p) => progress.push(p.migrated),
+        });
+
+        assert.deepEqual(report, { source: 'cache_old_model', target: 'cache_new_model', migrated: 2, skipped: 0, total: 2 });
+        assert.deepEqual(progress, [1, 2]);
+        assert.deepEqual(provider.embedded, ['pasta recipe', 'salmon recipe']);
+
+        await openNew();
+        const after = cache.db.prepare('SELECT query, timestamp, hit_count FROM cache_new_model ORDER BY id').all();
+        assert.deepEqual(after, before);
+
+        const hit = await cache.get('fresh pasta', { tags: ['cooking'] });
+        assert.deepEqual(hit.result, { answer: 'boil' });
+        assert.equal(await cache.get('grilled salmon'), null);
+        assert.equal((await cache.get('grilled salmon', { namespace: 'acme' })).result, 'grill');
+
+        // The old tables are left alone
+        const { n } = cache.db.prepare('SELECT count(*) AS n FROM cache_old_model').get();
+        assert.equal(n, 2);
+    });
+
+    it('resumes after the last committed batch', async function () {
+        await seed([
+            { query: 'pasta recipe', result: 'boil' },
+            { query: 'salmon recipe', result: 'grill' },
+            { query: 'pasta sauce', result: 'tomato' },
+        ]);
+
+        const failing = newProvider(1);
+        await assert.rejects(
+            () => SeekMix.migrate({ dbPath, from: 'old-model', to: failing, batchSize: 1 }),
+            /provider is down/
+        );
+        assert.deepEqual(failing.embedded, ['pasta recipe']);
+
+        const provider = newProvider();
+        const report = await SeekMix.migrate({ dbPath, from: 'old-model', to: provider, batchSize: 1 });
+        assert.deepEqual(provider.embedded, ['salmon recipe', 'pasta sauce']);
+        assert.equal(report.migrated, 3);
+
+        await openNew();
+        const queries = cache.db.prepare('SELECT query FROM cache_new_model ORDER BY id').all().map(r => r.query);
+        assert.deepEqual(queries, ['pasta recipe', 'salmon recipe', 'pasta sauce']);
+        const meta = cache.db.prepare('SELECT completed_at FROM seekmix_migrations').get();
+        assert.ok(meta.completed_at > 0);
+    });
+
+    it('skips expired entries and entries already rewritten in the new tables', async function () {
+        await seed([
+            { query: 'pasta recipe', result: 'old answer' },
+            { query: 'salmon recipe', result: 'grill', ttl: 0.001 },
+        ]);
+
+        await openNew();
+        await cache.set('pasta recipe', 'new answer');
+        await cache.disconnect();
+        cache = null;
+        await sleep(5);
+
+        const provider = newProvider();
+        const report = await SeekMix.migrate({ dbPath, from: oldProvider, to: provider });
+        assert.equal(report.migrated, 0);
+        assert.equal(report.skipped, 2);
+        assert.deepEqual(provider.embedded, []);
+
+        await openNew();
+        assert.equal((await cache.get('pasta recipe')).result, 'new answer');
+    });
+
+    it('rejects a missing source and a source sharing the target tables', async function () {
+        await assert.rejects(
+            () => SeekMix.migrate({ dbPath, from: 'missing-model', to: newProvider() }),
+            { code: 'SEEKMIX_MIGRATION_SOURCE_MISSING' }
+        );
+        await assert.rejects(
+            () => SeekMix.migrate({ dbPath, from: 'new-model', to: newProvider() }),
+            { code: 'SEEKMIX_MIGRATION_SAME_TABLES' }
+        );
+        await assert.rejects(() => SeekMix.migrate({ dbPath, to: newProvider() }), TypeError);
+    });
+});
@@ -0,0 +1,75 @@
+const { describe, it, before, after } = require('node:test');
+const { strict: assert } = require('assert');
+const { SeekMix } = require('../index');
+
+const embeddingProvider = {
+    model: 'dummy',
+    dimensions: 3,
+    async getEmbeddings(text) {
+        if (text.includes('pasta')) return [1, 0, 0];
+        if (text.includes('noodles')) return [0.95, 0.05, 0];
+        return [0, 1, 0];
+    }
+};
+
+describe('SeekMix namespaces', function () {
+    let cache;
+
+    before(async function () {
+        cache = new SeekMix({ dbPath: ':memory:', embeddingProvider, similarityThreshold: 0.9, namespace: 'acme' });
+        await cache.connect();
+    });
+
+    after(async function () {
+        await cache.disconnect();
+    });
+
+    it('keeps entries of different namespaces apart', async function () {
+        await cache.set('pasta recipe', 'acme pasta');
+        await cache.set('pasta recipe', 'globex pasta', { namespace: 'globex' });
+
+        assert.equal((await cache.get('pasta recipe')).result, 'acme pasta');
+        assert.equal((await cache.get('noodles recipe')).result, 'acme pasta');
+        assert.equal((await cache.get('noodles recipe', { namespace: 'globex' })).result, 'globex pasta');
+        assert.equal(await cache.get('noodles recipe', { namespace: 'initech' }), null);
+    });
+
+    it('scopes search and invalidation to one namespace', async function () {
+        const results = await cache.search('pasta recipe', { namespace: 'globex' });
+        assert.deepEqual(results.map(r => r.result), ['globex pasta']);
+
+        assert.equal(await cache.delete('pasta recipe', { namespace: 'initech' }), 0);
+        assert.equal(await cache.invalidateSimilar('noodles recipe', 0.9), 1);
+        assert.equal((await cache.get('pasta recipe', { namespace: 'globex' })).result, 'globex pasta');
+    });
+
+    it('shares wrap() results only within a namespace', async function () {
+        let calls = 0;
+        const producer = async (query) => `${query} #${++calls}`;
+
+        const [a, b] = await Promise.all([
+            cache.wrap('salmon dish', producer),
+            cache.wrap('salmon dish', producer, { namespace: 'globex' }),
+        ]);
+        assert.notEqual(a, b);
+        assert.equal(calls, 2);
+    });
+
+    it('reports entries and counters per namespace', async function () {
+        const { namespaces } = await cache.stats();
+        assert.equal(namespaces.globex.entries, 2);
+        assert.equal(namespaces.acme.entries, 1);
+        assert.equal(namespaces.initech.entries, 0);
+        assert.equal(namespaces.initech.misses, 1);
+    });
+
+    it('drops a whole namespace', async function () {
+        assert.equal(await cache.dropNamespace('globex'), 2);
+        assert.equal(await cache.get('pasta recipe', { namespace: 'globex' }), null);
+        assert.equal((await cache.get('salmon dish')).result, 'salmon dish #1');
+    });
+
+    it('rejects non-string namespaces', function () {
+        assert.throws(() => new SeekMix({ embeddingProvider, namespace: 42 }), /namespace must be a string/);
+    });
+});
@@ -0,0 +1,102 @@
+const { describe, it, after } = require('node:test');
+const { strict: assert } = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SeekMix } = require('../index');
+
+const recordingProvider = (calls) => ({
+    model: 'dummy',
+    dimensions: 3,
+    async getEmbeddings(text) {
+        calls.push(text);
+        return text.includes('pasta') ? [1, 0, 0] : [0, 1, 0];
+    }
+});
+
+describe('SeekMix query normalization', function () {
+
+    it('applies the default pipeline to keys and embeddings but keeps the original query', async function () {
+        const calls = [];
+        const cache = new SeekMix({ dbPath: ':memory:', embeddingProvider: recordingProvider(calls), normalize: true });
+        await cache.connect();
+
+        await cache.set("  What's the BEST pasta?? ", 'carbonara');
+        assert.deepEqual(calls, ['whats the best pasta']);
+
+        calls.length = 0;
+        const hit = await cache.get("what's the best pasta");
+        assert.equal(hit.result, 'carbonara');
+        assert.equal(hit.query, "  What's the BEST pasta?? ");
+        assert.equal(hit.score, 0);
+        assert.deepEqual(calls, []);
+
+        await cache.disconnect();
+    });
+
+    it('accepts a list of built-in steps and custom functions', async function () {
+        const calls = [];
+        const cache = new SeekMix({
+            dbPath: ':memory:',
+            embeddingProvider: recordingProvider(calls),
+            normalize: ['lowercase', 'stopwords', text => text.replace(/please/g, '').trim()],
+        });
+        await cache.connect();
+
+        await cache.set('Tell me THE recipe for pasta please', 'x');
+        assert.deepEqual(calls, ['tell recipe pasta']);
+        assert.equal((await cache.get('tell me the recipe for pasta')).result, 'x');
+
+        await cache.disconnect();
+    });
+
+    it('leaves queries untouched by default', async function () {
+        const calls = [];
+        const cache = new SeekMix({ dbPath: ':memory:', embeddingProvider: recordingProvider(calls) });
+        await cache.connect();
+
+        await cache.set('  Pasta?  ', 'x');
+        assert.deepEqual(calls, ['  Pasta?  ']);
+        assert.notEqual(cache._generateKey('  Pasta?  '), cache._generateKey('pasta'));
+
+        await cache.disconnect();
+    });
+
+    it('rejects unknown steps', function () {
+        assert.throws(
+            () => new SeekMix({ embeddingProvider: recordingProvider([]), normalize: ['lowercase', 'stemming'] }),
+            /Unknown normalize step "stemming"/
+        );
+    });
+
+    describe('when the pipeline changes between connections', function () {
+        const dbPath = path.join(os.tmpdir(), `seekmix-normalize-${process.pid}.db`);
+
+        after(function () {
+            fs.rmSync(dbPath, { force: true });
+        });
+
+        it('recomputes keys and keeps the newest of entries that now collide', async function () {
+            const calls = [];
+            const plain = new SeekMix({ dbPath, embeddingProvider: recordingProvider(calls) });
+            await plain.connect();
+            await plain.set('Pasta Recipe', 'old');
+            await new Promise(resolve => setTimeout(resolve, 5));
+            await plain.set('pasta recipe', 'new');
+            await plain.disconnect();
+
+            const normalized = new SeekMix({ dbPath, embeddingProvider: recordingProvider(calls), normalize: ['lowercase'] });
+            await normalized.connect();
+
+            const rows = normalized.db.prepare('SELECT query FROM cache_dummy').all();
+            assert.deepEqual(rows.map(row => row.query), ['pasta recipe']);
+            assert.equal(normalized.db.prepare('SELECT count(*) AS n FROM vec_dummy').get().n, 1);
+            assert.equal((await normalized.get('PASTA RECIPE')).result, 'new');
+
+            const meta = normalized.db.prepare('SELECT normalization FROM seekmix_meta').get();
+            assert.equal(meta.normalization, 'lowercase');
+
+            await normalized.disconnect();
+        });
+    });
+});
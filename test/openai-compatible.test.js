@@ -0,0 +1,136 @@
+const { describe, it, before, after } = require('node:test');
+const { strict: assert } = require('assert');
+const http = require('http');
+const {
+    SeekMix,
+    OpenAICompatibleEmbeddingProvider,
+    OpenAIEmbeddingProvider,
+    QwenEmbeddingProvider,
+    OpenAIEmbedding3SmallRouterProvider,
+} = require('../index');
+
+// Minimal server speaking the OpenAI /embeddings shape, returning items in reverse order
+const embed = (text) => (text.includes('pasta') ? [1, 0, 0, 0] : [0, 1, 0, 0]);
+
+describe('OpenAI-compatible embedding providers', function () {
+    let server;
+    let baseURL;
+    const requests = [];
+
+    before(async function () {
+        server = http.createServer((req, res) => {
+            let raw = '';
+            req.on('data', chunk => (raw += chunk));
+            req.on('end', () => {
+                const body = JSON.parse(raw);
+                requests.push({ url: req.url, headers: req.headers, body });
+
+                if (body.model === 'broken') {
+                    res.writeHead(500, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ error: { message: 'model crashed' } }));
+                    return;
+                }
+
+                const inputs = Array.isArray(body.input) ? body.input : [body.input];
+                const data = inputs.map((text, index) => ({ index, embedding: embed(text) })).reverse();
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ object: 'list', data }));
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseURL = `http://127.0.0.1:${server.address().port}/v1`;
+    });
+
+    after(async function () {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    it('discovers dimensions and sends the configured headers', async function () {
+        requests.length = 0;
+        const provider = new OpenAICompatibleEmbeddingProvider({
+            baseURL,
+            apiKey: 'secret',
+            headers: { 'X-Tenant': 'acme' },
+            model: 'nomic-embed-text',
+        });
+        assert.equal(provider.dimensions, null);
+
+        await provider.initialize();
+        assert.equal(provider.dimensions, 4);
+
+        const [request] = requests;
+        assert.equal(request.url, '/v1/embeddings');
+        assert.equal(request.headers.authorization, 'Bearer secret');
+        assert.equal(request.headers['x-tenant'], 'acme');
+        assert.equal(request.body.model, 'nomic-embed-text');
+    });
+
+    it('orders batch results by index', async function () {
+        const provider = new OpenAICompatibleEmbeddingProvider({ baseURL, model: 'local' });
+        const embeddings = await provider.getEmbeddingsBatch(['pasta', 'salmon']);
+        assert.deepEqual(embeddings, [[1, 0, 0, 0], [0, 1, 0, 0]]);
+        assert.equal(requests.at(-1).headers.authorization, undefined);
+    });
+
+    it('rejects a dimension count that does not match the configured one', async function () {
+        const provider = new OpenAICompatibleEmbeddingProvider({ baseURL, model: 'local', dimensions: 8 });
+        await assert.rejects(() => provider.getEmbeddings('pasta'), /returned 4 dimensions, but 8 are configured/);
+    });
+
+    it('surfaces HTTP errors with their status', async function () {
+        const provider = new OpenAICompatibleEmbeddingProvider({ baseURL, model: 'broken', dimensions: 4 });
+        await assert.rejects(() => provider.getEmbeddings('pasta'), (error) => {
+            assert.equal(error.status, 500);
+            assert.match(error.message, /model crashed/);
+            return true;
+        });
+    });
+
+    it('requires a baseURL and a model', function () {
+        assert.throws(() => new OpenAICompatibleEmbeddingProvider({ model: 'local' }), /requires a baseURL/);
+        assert.throws(() => new OpenAICompatibleEmbeddingProvider({ baseURL }), /requires a model/);
+    });
+
+    it('lets the built-in providers point at another base URL', async function () {
+        const openai = new OpenAIEmbeddingProvider({ baseURL, apiKey: 'k', dimensions: 4 });
+        assert.deepEqual(await openai.getEmbeddings('pasta'), [1, 0, 0, 0]);
+
+        const qwen = new QwenEmbeddingProvider({ baseURL, apiKey: 'k', dimensions: 4 });
+        assert.deepEqual(await qwen.getEmbeddings('salmon'), [0, 1, 0, 0]);
+        assert.equal(requests.at(-1).body.model, 'qwen/qwen3-embedding-8b');
+    });
+
+    it('asks text-embedding-3 models for shortened vectors', async function () {
+        await new OpenAIEmbeddingProvider({ baseURL, apiKey: 'k', model: 'text-embedding-3-small', dimensions: 4 }).getEmbeddings('pasta');
+        assert.equal(requests.at(-1).body.dimensions, 4);
+
+        await new OpenAIEmbeddingProvider({ baseURL, apiKey: 'k', dimensions: 4 }).getEmbeddings('pasta');
+        assert.equal(requests.at(-1).body.dimensions, undefined);
+    });
+
+    it('asks OpenRouter for shortened text-embedding-3 vectors', async function () {
+        const router = new OpenAIEmbedding3SmallRouterProvider({ baseURL, apiKey: 'k', dimensions: 4 });
+        await router.getEmbeddings('pasta');
+        assert.equal(requests.at(-1).body.dimensions, 4);
+        await router.getEmbeddingsBatch(['pasta', 'salmon']);
+        assert.equal(requests.at(-1).body.dimensions, 4);
+
+        await new QwenEmbeddingProvider({ baseURL, apiKey: 'k', dimensions: 4 }).getEmbeddings('pasta');
+        assert.equal(requests.at(-1).body.dimensions, undefined);
+    });
+
+    it('works as a SeekMix provider with discovered dimensions', async function () {
+        const cache = new SeekMix({
+            dbPath: ':memory:',
+            embeddingProvider: new OpenAICompatibleEmbeddingProvider({ baseURL, model: 'local' }),
+        });
+        await cache.connect();
+
+        await cache.set('pasta recipe', 'boil');
+        assert.equal((await cache.get('how to cook pasta')).result, 'boil');
+
+        const meta = cache.db.prepare('SELECT dimensions FROM seekmix_meta').get();
+        assert.equal(meta.dimensions, 4);
+        await cache.disconnect();
+    });
+});
@@ -0,0 +1,157 @@
+const { describe, it, afterEach } = require('node:test');
+const { strict: assert } = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SeekMix } = require('../index');
+
+// 16 dimensions: a shared direction per topic plus a little per-text noise
+const topics = { pasta: 0, salmon: 4, bread: 8 };
+const embed = (text) => {
+    const vector = new Array(16).fill(-0.05);
+    const topic = Object.keys(topics).find(name => text.includes(name));
+    if (topic !== undefined) {
+        for (let i = 0; i < 4; i++) vector[topics[topic] + i] = 1;
+    }
+    vector[15] += text.length / 100;
+    return vector;
+};
+
+const embeddingProvider = {
+    model: 'dummy',
+    dimensions: 16,
+    async getEmbeddings(text) {
+        return embed(text);
+    }
+};
+
+const cosine = (a, b) => {
+    let dot = 0, na = 0, nb = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        na += a[i] * a[i];
+        nb += b[i] * b[i];
+    }
+    return dot / Math.sqrt(na * nb);
+};
+
+describe('Reduced-dimension and quantized storage', function () {
+    const dbPath = path.join(os.tmpdir(), `seekmix-quantization-${process.pid}.db`);
+    let cache;
+
+    const open = async (options) => {
+        cache = new SeekMix({ dbPath, embeddingProvider, similarityThreshold: 0.8, ...options });
+        await cache.connect();
+        return cache;
+    };
+
+    const vecSql = () => cache.db.prepare('SELECT sql FROM sqlite_master WHERE name = ?').get(cache._vecTable).sql;
+
+    afterEach(async function () {
+        if (cache) await cache.disconnect();
+        cache = null;
+        fs.rmSync(dbPath, { force: true });
+    });
+
+    it('truncates vectors to the leading dimensions and renormalizes them', async function () {
+        await open({ truncateDimensions: 8 });
+        assert.match(vecSql(), /float\[8\]/);
+        assert.equal(cache.db.prepare('SELECT dimensions FROM seekmix_meta').get().dimensions, 8);
+
+        const vector = await cache._embed('pasta recipe');
+        assert.equal(vector.length, 8);
+        assert.ok(Math.abs(Math.hypot(...vector) - 1) < 1e-6);
+
+        await cache.set('pasta recipe', 'boil');
+        assert.equal((await cache.get('fresh pasta')).result, 'boil');
+        assert.equal(await cache.get('sourdough bread'), null);
+    });
+
+    it('refuses to truncate beyond the model dimensions', async function () {
+        cache = new SeekMix({ dbPath, embeddingProvider, truncateDimensions: 32 });
+        await assert.rejects(() => cache.connect(), /truncateDimensions \(32\) exceeds the 16 dimensions/);
+        cache = null;
+    });
+
+    it('stores int8 vectors with cosine similarity close to full precision', async function () {
+        await open({ quantization: 'int8' });
+        assert.match(vecSql(), /int8\[16\]/);
+
+        await cache.set('pasta recipe', 'boil');
+        const hit = await cache.get('fresh pasta');
+        assert.equal(hit.result, 'boil');
+        assert.ok(Math.abs(hit.similarity - cosine(embed('pasta recipe'), embed('fresh pasta'))) < 0.02);
+        assert.equal(await cache.get('sourdough bread'), null);
+    });
+
+    it('stores binary vectors and estimates similarity from the hamming distance', async function () {
+        await open({ quantization: 'binary', similarityThreshold: 0.9 });
+        assert.match(vecSql(), /bit\[16\]/);
+
+        await cache.setMany([
+            { query: 'pasta recipe', result: 'boil' },
+            { query: 'salmon recipe', result: 'grill' },
+        ]);
+        const hit = await cache.get('fresh pasta');
+        assert.equal(hit.result, 'boil');
+        assert.equal(hit.similarity, 1);
+
+        const results = await cache.search('fresh pasta', { threshold: 0 });
+        assert.deepEqual(results.map(r => r.result), ['boil', 'grill']);
+        assert.ok(results[1].similarity < 0.9);
+
+        assert.equal(await cache.invalidateSimilar('pasta dish', 0.9), 1);
+        assert.equal((await cache.search('fresh pasta', { threshold: 0 })).length, 1);
+    });
+
+    it('rescores quantized candidates with full-precision vectors', async function () {
+        await open({ quantization: 'binary', rescore: 4 });
+
+        await cache.set('pasta recipe', 'boil');
+        await cache.set('pasta recipe with a much longer question', 'simmer');
+
+        const results = await cache.search('pasta recipe!', { threshold: 0 });
+        assert.deepEqual(results.map(r => r.result), ['boil', 'simmer']);
+        const expected = cosine(embed('pasta recipe'), embed('pasta recipe!'));
+        assert.ok(Math.abs(results[0].similarity - expected) < 1e-6);
+
+        const { n } = cache.db.prepare(`SELECT count(*) AS n FROM "${cache._cacheTable}" WHERE vector IS NOT NULL`).get();
+        assert.equal(n, 2);
+    });
+
+    it('only accepts 0 or a rescore of at least 1', async function () {
+        for (const rescore of [0.5, -1, Infinity, NaN, '4']) {
+            assert.throws(() => new SeekMix({ dbPath, embeddingProvider, quantization: 'int8', rescore }), /rescore must be 0 or a number of at least 1/);
+        }
+
+        await open({ quantization: 'int8', rescore: 1.5 });
+        for (const query of ['pasta', 'pasta bake', 'pasta salad', 'fresh pasta', 'pasta sauce', 'baked pasta dish']) {
+            await cache.set(query, query);
+        }
+        assert.equal((await cache.search('pasta', { k: 5, threshold: 0 })).length, 5);
+    });
+
+    it('keeps no full-precision copies without rescoring', async function () {
+        await open({ quantization: 'int8' });
+        await cache.set('pasta recipe', 'boil');
+        const { n } = cache.db.prepare(`SELECT count(*) AS n FROM "${cache._cacheTable}" WHERE vector IS NOT NULL`).get();
+        assert.equal(n, 0);
+    });
+
+    it('refuses to open tables stored with another quantization', async function () {
+        await open({ quantization: 'int8' });
+        await cache.disconnect();
+
+        cache = new SeekMix({ dbPath, embeddingProvider });
+        await assert.rejects(() => cache.connect(), (error) => {
+            assert.equal(error.code, 'SEEKMIX_SCHEMA_MISMATCH');
+            assert.match(error.message, /int8 vectors \(configured: float\)/);
+            return true;
+        });
+        cache = null;
+    });
+
+    it('rejects unknown quantizations', function () {
+        assert.throws(() => new SeekMix({ embeddingProvider, quantization: 'int4' }), /Unknown quantization "int4"/);
+    });
+});
@@ -0,0 +1,110 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const { strict: assert } = require('assert');
+const http = require('http');
+const { OpenAICompatibleEmbeddingProvider, OpenAIEmbeddingProvider, EmbeddingProviderError } = require('../index');
+
+describe('HTTP embedding client retries, timeouts and limits', function () {
+    let server;
+    let baseURL;
+    let responses;
+    let requests;
+    let active;
+    let maxActive;
+
+    // Each request takes the next scripted response; the last one repeats
+    before(async function () {
+        server = http.createServer((req, res) => {
+            req.resume();
+            req.on('end', () => {
+                const { status = 200, headers = {}, delay = 0 } = responses.length > 1 ? responses.shift() : responses[0];
+                requests.push(Date.now());
+                active++;
+                maxActive = Math.max(maxActive, active);
+
+                setTimeout(() => {
+                    active--;
+                    if (res.destroyed) return;
+                    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+                    res.end(JSON.stringify(status === 200
+                        ? { data: [{ index: 0, embedding: [1, 0, 0] }] }
+                        : { error: { message: `status ${status}` } }));
+                }, delay);
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseURL = `http://127.0.0.1:${server.address().port}/v1`;
+    });
+
+    beforeEach(function () {
+        requests = [];
+        active = 0;
+        maxActive = 0;
+    });
+
+    after(async function () {
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    const provider = (options) => new OpenAICompatibleEmbeddingProvider({
+        baseURL,
+        model: 'local',
+        dimensions: 3,
+        retryDelay: 1,
+        ...options,
+    });
+
+    it('retries 429 and 5xx responses until one succeeds', async function () {
+        responses = [{ status: 503 }, { status: 429 }, { status: 502 }, { status: 200 }];
+        assert.deepEqual(await provider().getEmbeddings('pasta'), [1, 0, 0]);
+        assert.equal(requests.length, 4);
+    });
+
+    it('gives up after maxRetries with a typed error', async function () {
+        responses = [{ status: 503 }];
+        await assert.rejects(() => provider({ maxRetries: 2 }).getEmbeddings('pasta'), (error) => {
+            assert.ok(error instanceof EmbeddingProviderError);
+            assert.equal(error.code, 'SEEKMIX_PROVIDER_HTTP');
+            assert.equal(error.status, 503);
+            assert.equal(error.provider, 'OpenAICompatibleEmbeddingProvider');
+            assert.equal(error.retryable, true);
+            assert.equal(error.attempts, 3);
+            return true;
+        });
+        assert.equal(requests.length, 3);
+    });
+
+    it('does not retry other client errors', async function () {
+        responses = [{ status: 401 }];
+        await assert.rejects(() => new OpenAIEmbeddingProvider({ baseURL, apiKey: 'bad', retryDelay: 1 }).getEmbeddings('pasta'), {
+            name: 'EmbeddingProviderError',
+            status: 401,
+            provider: 'OpenAIEmbeddingProvider',
+            retryable: false,
+        });
+        assert.equal(requests.length, 1);
+    });
+
+    it('waits as long as Retry-After asks', async function () {
+        responses = [{ status: 429, headers: { 'Retry-After': '1' } }, { status: 200 }];
+        await provider().getEmbeddings('pasta');
+        assert.equal(requests.length, 2);
+        assert.ok(requests[1] - requests[0] >= 900);
+    });
+
+    it('aborts requests that exceed the timeout', async function () {
+        responses = [{ status: 200, delay: 500 }];
+        await assert.rejects(() => provider({ timeout: 50, maxRetries: 0 }).getEmbeddings('pasta'), {
+            code: 'SEEKMIX_PROVIDER_TIMEOUT',
+            retryable: true,
+        });
+    });
+
+    it('limits concurrent requests', async function () {
+        responses = [{ status: 200, delay: 30 }];
+        const limited = provider({ maxConcurrency: 2 });
+        await Promise.all(Array.from({ length: 6 }, () => limited.getEmbeddings('pasta')));
+        assert.equal(requests.length, 6);
+        assert.equal(maxActive, 2);
+    });
+});
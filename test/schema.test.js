@@ -0,0 +1,177 @@
+const { describe, it, afterEach } = require('node:test');
+const { strict: assert } = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+const sqliteVec = require('sqlite-vec');
+const { SeekMix } = require('../index');
+
+const provider = (dimensions, model = 'dummy') => ({
+    model,
+    dimensions,
+    async getEmbeddings() {
+        return new Array(dimensions).fill(0).map((_, i) => (i === 0 ? 1 : 0));
+    }
+});
+
+describe('SeekMix schema metadata and migrations', function () {
+    const dbPath = path.join(os.tmpdir(), `seekmix-schema-${process.pid}.db`);
+    let cache;
+
+    const open = async (options) => {
+        cache = new SeekMix({ dbPath, ...options });
+        await cache.connect();
+        return cache;
+    };
+
+    afterEach(async function () {
+        if (cache) await cache.disconnect();
+        cache = null;
+        fs.rmSync(dbPath, { force: true });
+    });
+
+    it('records model, dimensions, metric and schema version', async function () {
+        await open({ embeddingProvider: provider(3) });
+
+        const meta = cache.db.prepare('SELECT * FROM seekmix_meta').get();
+        assert.equal(meta.cache_table, 'cache_dummy');
+        assert.equal(meta.vec_table, 'vec_dummy');
+        assert.equal(meta.model, 'dummy');
+        assert.equal(meta.dimensions, 3);
+        assert.equal(meta.distance_metric, 'cosine');
+        assert.equal(meta.schema_version, 8);
+    });
+
+    it('refuses to open tables created with other dimensions', async function () {
+        await open({ embeddingProvider: provider(3) });
+        await cache.set('question', 'answer');
+        await cache.disconnect();
+
+        cache = new SeekMix({ dbPath, embeddingProvider: provider(4) });
+        await assert.rejects(() => cache.connect(), (error) => {
+            assert.equal(error.code, 'SEEKMIX_SCHEMA_MISMATCH');
+            assert.deepEqual(error.stored, { model: 'dummy', dimensions: 3, distanceMetric: 'cosine', quantization: 'float', inputTemplate: '' });
+            assert.match(error.message, /3 dimensions \(configured: 4\)/);
+            return true;
+        });
+        cache = null;
+    });
+
+    it('refuses to share tables between models with the same sanitized name', async function () {
+        await open({ embeddingProvider: provider(3, 'org/model') });
+        await cache.disconnect();
+
+        cache = new SeekMix({ dbPath, embeddingProvider: provider(3, 'org_model') });
+        await assert.rejects(() => cache.connect(), { code: 'SEEKMIX_SCHEMA_MISMATCH' });
+        cache = null;
+    });
+
+    it('rebuilds mismatched tables when asked to', async function () {
+        await open({ embeddingProvider: provider(3) });
+        await cache.set('question', 'answer');
+        await cache.disconnect();
+
+        await open({ embeddingProvider: provider(4), rebuildOnMismatch: true });
+        await cache.set('question', 'answer');
+
+        const meta = cache.db.prepare('SELECT dimensions FROM seekmix_meta').get();
+        assert.equal(meta.dimensions, 4);
+        assert.equal(cache.db.prepare('SELECT count(*) AS n FROM cache_dummy').get().n, 1);
+    });
+
+    it('refuses databases written by a newer schema', async function () {
+        await open({ embeddingProvider: provider(3) });
+        cache.db.prepare('UPDATE seekmix_meta SET schema_version = 99').run();
+        await cache.disconnect();
+
+        cache = new SeekMix({ dbPath, embeddingProvider: provider(3) });
+        await assert.rejects(() => cache.connect(), { code: 'SEEKMIX_SCHEMA_TOO_NEW' });
+        cache = null;
+    });
+
+    describe('databases created before seekmix_meta', function () {
+        const createLegacy = (dimensions) => {
+            const db = new Database(dbPath);
+            sqliteVec.load(db);
+            db.exec(`
+                CREATE TABLE cache_dummy (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    key TEXT UNIQUE NOT NULL,
+                    query TEXT NOT NULL,
+                    result TEXT NOT NULL,
+                    timestamp INTEGER NOT NULL,
+                    tags TEXT NOT NULL DEFAULT '[]'
+                )
+            `);
+            db.exec(`CREATE VIRTUAL TABLE vec_dummy USING vec0(embedding float[${dimensions}] distance_metric=cosine)`);
+            const info = db.prepare('INSERT INTO cache_dummy (key, query, result, timestamp, tags) VALUES (?, ?, ?, ?, ?)')
+                .run('legacy', 'legacy question', '"old"', Date.now(), '["lang:en"]');
+            const vector = new Float32Array(dimensions);
+            vector[0] = 1;
+            db.prepare('INSERT INTO vec_dummy (rowid, embedding) VALUES (?, ?)').run(BigInt(info.lastInsertRowid), vector);
+            db.close();
+        };
+
+        it('migrates them forward and records their metadata', async function () {
+            createLegacy(3);
+            await open({ embeddingProvider: provider(3) });
+
+            const columns = cache.db.prepare('PRAGMA table_info(cache_dummy)').all().map(c => c.name);
+            assert.ok(columns.includes('expires_at'));
+            assert.ok(columns.includes('last_accessed'));
+            assert.ok(columns.includes('hit_count'));
+            assert.ok(columns.includes('scope'));
+            assert.match(cache._tableSql('vec_dummy'), /namespace text partition key,\s+scope text,/);
+
+            const meta = cache.db.prepare('SELECT schema_version, dimensions FROM seekmix_meta').get();
+            assert.deepEqual({ ...meta }, { schema_version: 8, dimensions: 3 });
+
+            const hit = await cache.get('something similar');
+            assert.equal(hit.result, 'old');
+        });
+
+        it('indexes the tags of existing entries', async function () {
+            createLegacy(3);
+            await open({ embeddingProvider: provider(3) });
+
+            assert.deepEqual(cache.db.prepare('SELECT tag FROM tags_dummy').all(), [{ tag: 'lang:en' }]);
+            assert.equal((await cache.get('something similar', { tags: ['lang:en'] })).result, 'old');
+            assert.equal(await cache.get('something similar', { tags: { out: ['lang:en'] } }), null);
+        });
+
+        it('rekeys existing entries so exact lookups find them', async function () {
+            createLegacy(3);
+            await open({ embeddingProvider: provider(3) });
+
+            const row = cache.db.prepare('SELECT key FROM cache_dummy').get();
+            assert.equal(row.key, cache._generateKey('legacy question'));
+            assert.equal(await cache.delete('legacy question'), 1);
+        });
+
+        it('detects a dimension mismatch from the vec0 definition', async function () {
+            createLegacy(4);
+            cache = new SeekMix({ dbPath, embeddingProvider: provider(3) });
+            await assert.rejects(() => cache.connect(), { code: 'SEEKMIX_SCHEMA_MISMATCH' });
+            cache = null;
+        });
+
+        it('keeps embedding raw text for them with a provider that has an input template', async function () {
+            createLegacy(3);
+            const inputs = [];
+            const e5 = {
+                ...provider(3),
+                formatInput: (text, inputType) => `${inputType}: ${text}`,
+                async getEmbeddings(text) {
+                    inputs.push(text);
+                    return [1, 0, 0];
+                },
+            };
+            await open({ embeddingProvider: e5 });
+
+            assert.equal((await cache.get('something similar')).result, 'old');
+            assert.deepEqual(inputs, ['something similar']);
+            assert.equal(cache.db.prepare('SELECT input_template FROM seekmix_meta').get().input_template, '');
+        });
+    });
+});
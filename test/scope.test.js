@@ -0,0 +1,86 @@
+const { describe, it, before, after } = require('node:test');
+const { strict: assert } = require('assert');
+const { SeekMix } = require('../index');
+
+const embeddingProvider = {
+    model: 'dummy',
+    dimensions: 3,
+    async getEmbeddings(text) {
+        if (text.includes('pasta')) return [1, 0, 0];
+        if (text.includes('noodles')) return [0.95, 0.05, 0];
+        return [0, 1, 0];
+    }
+};
+
+describe('SeekMix scopes', function () {
+    let cache;
+
+    before(async function () {
+        cache = new SeekMix({ dbPath: ':memory:', embeddingProvider, similarityThreshold: 0.9 });
+        await cache.connect();
+    });
+
+    after(async function () {
+        await cache.disconnect();
+    });
+
+    it('keeps the same query apart per scope', async function () {
+        await cache.set('pasta recipe', 'generic pasta');
+        await cache.set('pasta recipe', 'receta de pasta', { scope: { locale: 'es', prompt: 'v1' } });
+        await cache.set('pasta recipe', 'pasta recipe v2', { scope: { locale: 'en', prompt: 'v2' } });
+
+        assert.equal((await cache.get('pasta recipe')).result, 'generic pasta');
+        assert.equal((await cache.get('pasta recipe', { scope: { prompt: 'v1', locale: 'es' } })).result, 'receta de pasta');
+        assert.equal((await cache.get('noodles recipe', { scope: { locale: 'es', prompt: 'v1' } })).result, 'receta de pasta');
+        assert.equal((await cache.get('noodles recipe', { scope: { locale: 'en', prompt: 'v2' } })).result, 'pasta recipe v2');
+        assert.equal(await cache.get('noodles recipe', { scope: { locale: 'es' } }), null);
+        assert.equal((await cache.stats()).entries, 3);
+    });
+
+    it('treats a missing or empty scope as no scope', async function () {
+        assert.equal((await cache.get('noodles recipe', { scope: {} })).result, 'generic pasta');
+        assert.equal((await cache.get('noodles recipe', { scope: { locale: undefined } })).result, 'generic pasta');
+        assert.equal((await cache.get('noodles recipe', { scope: null })).result, 'generic pasta');
+    });
+
+    it('filters inside the vector search', async function () {
+        const results = await cache.search('noodles', { k: 5, threshold: 0, scope: { locale: 'es', prompt: 'v1' } });
+        assert.deepEqual(results.map(r => r.result), ['receta de pasta']);
+    });
+
+    it('scopes batches, wrap() and delete()', async function () {
+        const scope = { model: 'gpt-4o' };
+        await cache.setMany([
+            { query: 'salmon dish', result: 'grilled', scope },
+            { query: 'salmon dish', result: 'baked' },
+        ]);
+        const hits = await cache.getMany(['salmon dish', 'pasta recipe'], { scope });
+        assert.deepEqual(hits.map(hit => hit && hit.result), ['grilled', null]);
+
+        let calls = 0;
+        const producer = async () => `produced #${++calls}`;
+        const [a, b] = await Promise.all([
+            cache.wrap('noodles soup', producer, { scope }),
+            cache.wrap('noodles soup', producer, { scope: { model: 'gpt-4o-mini' } }),
+        ]);
+        assert.notEqual(a, b);
+        assert.equal(await cache.wrap('noodles soup', producer, { scope }), a);
+        assert.equal(calls, 2);
+
+        assert.equal(await cache.delete('salmon dish', { scope: { model: 'other' } }), 0);
+        assert.equal(await cache.delete('salmon dish', { scope }), 1);
+        assert.equal((await cache.get('salmon dish')).result, 'baked');
+    });
+
+    it('lists the scope hash of each entry', async function () {
+        const entries = await cache.list({ limit: 100 });
+        const hashes = new Set(entries.map(entry => entry.scope));
+        assert.ok(hashes.has(''));
+        assert.ok([...hashes].filter(Boolean).every(hash => /^[0-9a-f]{64}$/.test(hash)));
+    });
+
+    it('rejects scopes that are not objects', async function () {
+        await assert.rejects(() => cache.get('pasta recipe', { scope: 'es' }), /scope must be a plain object/);
+        await assert.rejects(() => cache.set('pasta recipe', 1, { scope: ['es'] }), /scope must be a plain object/);
+    });
+});
@@ -0,0 +1,77 @@
+const { describe, it, before, after } = require('node:test');
+const { strict: assert } = require('assert');
+const { SeekMix } = require('../index');
+
+describe('SeekMix top-k search', function () {
+    let cache;
+
+    const vectors = {
+        'pasta carbonara': [1, 0, 0],
+        'pasta bolognese': [0.9, 0.1, 0],
+        'pasta pesto': [0.8, 0.2, 0],
+        'grilled salmon': [0, 1, 0],
+        'query': [1, 0, 0],
+    };
+
+    const embeddingProvider = {
+        model: 'dummy',
+        dimensions: 3,
+        async getEmbeddings(text) {
+            return vectors[text] || [0, 0, 1];
+        }
+    };
+
+    before(async function () {
+        cache = new SeekMix({
+            dbPath: ':memory:',
+            embeddingProvider,
+            dropIndex: true,
+            similarityThreshold: 0.98,
+        });
+        await cache.connect();
+
+        await cache.set('pasta carbonara', 'a', { tags: ['lang:it'] });
+        await cache.set('pasta bolognese', 'b', { tags: ['lang:it'] });
+        await cache.set('pasta pesto', 'c', { tags: ['lang:en'] });
+        await cache.set('grilled salmon', 'd', { tags: ['lang:en'] });
+    });
+
+    after(async function () {
+        await cache.disconnect();
+    });
+
+    it('returns candidates ordered by distance with scores', async function () {
+        const results = await cache.search('query', { k: 3, threshold: 0 });
+
+        assert.deepEqual(results.map(r => r.query), ['pasta carbonara', 'pasta bolognese', 'pasta pesto']);
+        for (let i = 1; i < results.length; i++) {
+            assert.ok(results[i].score >= results[i - 1].score);
+        }
+        for (const r of results) {
+            assert.ok(Math.abs(r.similarity - (1 - r.score)) < 1e-9);
+            assert.ok(Array.isArray(r.tags));
+            assert.equal(typeof r.timestamp, 'number');
+        }
+    });
+
+    it('applies the similarity threshold (defaults to similarityThreshold)', async function () {
+        const results = await cache.search('query', { k: 10 });
+        assert.deepEqual(results.map(r => r.result), ['a', 'b']);
+    });
+
+    it('filters by tags', async function () {
+        const results = await cache.search('query', { k: 10, threshold: 0, tags: { out: ['lang:it'] } });
+        assert.deepEqual(results.map(r => r.result), ['c', 'd']);
+    });
+
+    it('returns an empty array when nothing matches', async function () {
+        assert.deepEqual(await cache.search('unknown', { k: 3 }), []);
+    });
+
+    it('only accepts a positive integer k', async function () {
+        for (const k of [0, -1, 2.5, '5', '5 UNION ALL SELECT 1, 0', null]) {
+            await assert.rejects(() => cache.search('query', { k }), /k must be a positive integer/);
+        }
+        assert.equal((await cache.search('query', { k: 10000, threshold: 0 })).length, 4);
+    });
+});
@@ -0,0 +1,169 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const { strict: assert } = require('assert');
+const { SeekMix, createServer, EmbeddingProviderError } = require('../index');
+
+const embeddingProvider = {
+    model: 'dummy',
+    dimensions: 3,
+    down: false,
+    async getEmbeddings(text) {
+        if (this.down) {
+            throw new EmbeddingProviderError('upstream unavailable', { code: 'SEEKMIX_PROVIDER_HTTP', status: 503 });
+        }
+        if (text.includes('pasta')) return [1, 0, 0];
+        if (text.includes('salmon')) return [0, 1, 0];
+        return [0, 0, 1];
+    }
+};
+
+describe('HTTP server', function () {
+    let cache;
+    let server;
+    let baseURL;
+
+    const request = async (method, path, body, headers = {}) => {
+        const response = await fetch(`${baseURL}${path}`, {
+            method,
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body: body === undefined ? undefined : typeof body === 'string' ? body : JSON.stringify(body),
+        });
+        return { status: response.status, headers: response.headers, body: await response.json() };
+    };
+
+    const start = async (options) => {
+        server = createServer(cache, options);
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseURL = `http://127.0.0.1:${server.address().port}`;
+    };
+
+    const stop = async () => {
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+    };
+
+    before(async function () {
+        cache = new SeekMix({ dbPath: ':memory:', embeddingProvider });
+        await cache.connect();
+        await start();
+    });
+
+    beforeEach(async function () {
+        embeddingProvider.down = false;
+        await cache.dropKeys();
+    });
+
+    after(async function () {
+        await stop();
+        await cache.disconnect();
+    });
+
+    it('stores and retrieves entries', async function () {
+        const stored = await request('POST', '/set', { query: 'pasta recipe', result: { answer: 'boil' }, tags: ['faq'] });
+        assert.deepEqual(stored, { status: 200, headers: stored.headers, body: { stored: true } });
+
+        const { body } = await request('POST', '/get', { query: 'how to cook pasta' });
+        assert.deepEqual(body.hit.result, { answer: 'boil' });
+        assert.deepEqual(body.hit.tags, ['faq']);
+
+        const miss = await request('POST', '/get', { query: 'grilled salmon' });
+        assert.equal(miss.body.hit, null);
+
+        await request('POST', '/set', { query: 'pasta recipe', result: 'hervir', scope: { locale: 'es' } });
+        const scoped = await request('POST', '/get', { query: 'how to cook pasta', scope: { locale: 'es' } });
+        assert.equal(scoped.body.hit.result, 'hervir');
+        assert.deepEqual((await request('DELETE', '/entries', { query: 'pasta recipe', scope: { locale: 'es' } })).body, { deleted: 1 });
+    });
+
+    it('searches, deletes and invalidates', async function () {
+        await request('POST', '/set', { query: 'pasta recipe', result: 'boil', tags: ['cooking'] });
+        await request('POST', '/set', { query: 'salmon recipe', result: 'grill', tags: ['cooking'] });
+        await request('POST', '/set', { query: 'pasta recipe', result: 'boil', namespace: 'acme' });
+
+        const { body } = await request('POST', '/search', { query: 'pasta', k: 2, threshold: 0 });
+        assert.deepEqual(body.results.map(r => r.result), ['boil', 'grill']);
+
+        assert.deepEqual((await request('DELETE', '/entries', { query: 'pasta recipe', namespace: 'acme' })).body, { deleted: 1 });
+        assert.deepEqual((await request('POST', '/invalidate', { query: 'salmon dish', threshold: 0.9 })).body, { removed: 1 });
+        assert.deepEqual((await request('POST', '/invalidate', { tags: ['cooking'] })).body, { removed: 1 });
+        assert.deepEqual((await request('POST', '/invalidate', { olderThan: 60 })).body, { removed: 0 });
+
+        const stats = await request('GET', '/stats');
+        assert.equal(stats.body.entries, 0);
+        assert.equal(stats.body.namespaces.acme.entries, 0);
+    });
+
+    it('rejects malformed requests', async function () {
+        const invalidJson = await request('POST', '/get', '{"query":');
+        assert.equal(invalidJson.status, 400);
+        assert.equal(invalidJson.body.error.code, 'SEEKMIX_INVALID_JSON');
+
+        assert.match((await request('POST', '/set', { query: 'pasta' })).body.error.message, /"result" is required/);
+        assert.match((await request('POST', '/get', { query: '' })).body.error.message, /"query" must be a non-empty string/);
+        assert.match((await request('POST', '/get', { query: 'pasta', scope: 'es' })).body.error.message, /"scope" must be an object/);
+        assert.match((await request('POST', '/invalidate', { tags: ['a'], olderThan: 1 })).body.error.message, /exactly one/);
+
+        const injected = await request('POST', '/search', {
+            query: 'pasta',
+            namespace: 'attacker',
+            k: "5 UNION ALL SELECT id, 0 FROM cache_dummy WHERE namespace = 'victim' OR 0",
+        });
+        assert.equal(injected.status, 400);
+        assert.match(injected.body.error.message, /"k" must be an integer at least 1/);
+        assert.equal((await request('POST', '/search', { query: 'pasta', k: '(SELECT 1)' })).status, 400);
+        assert.equal((await request('POST', '/search', { query: 'pasta', k: 2.5 })).status, 400);
+        assert.match((await request('POST', '/search', { query: 'pasta', threshold: 2 })).body.error.message, /"threshold" must be a number between 0 and 1/);
+        assert.match((await request('POST', '/set', { query: 'pasta', result: 1, ttl: null })).body.error.message, /"ttl" must be a number/);
+        assert.match((await request('POST', '/set', { query: 'pasta', result: 1, tags: 'abc' })).body.error.message, /"tags" must be an array/);
+        assert.equal((await request('POST', '/get', { query: 'pasta', tags: 5 })).status, 400);
+        assert.equal((await request('POST', '/get', { query: 'pasta', tags: { in: ['a'], out: [1] } })).status, 400);
+        assert.equal((await request('POST', '/invalidate', { olderThan: '60' })).status, 400);
+        assert.equal((await request('POST', '/set', { query: 'pasta', result: 1, tags: { in: ['a'] } })).status, 400);
+        assert.deepEqual((await request('POST', '/set', { query: 'pasta', result: 1, ttl: -1, tags: ['a'] })).body, { stored: true });
+
+        const notFound = await request('GET', '/entries/1');
+        assert.equal(notFound.status, 404);
+
+        const wrongMethod = await request('GET', '/get');
+        assert.equal(wrongMethod.status, 405);
+        assert.equal(wrongMethod.headers.get('allow'), 'POST');
+    });
+
+    it('answers 502 when the embedding provider fails', async function () {
+        embeddingProvider.down = true;
+        const { status, body } = await request('POST', '/set', { query: 'bread recipe', result: 'bake' });
+        assert.equal(status, 502);
+        assert.equal(body.error.code, 'SEEKMIX_PROVIDER_HTTP');
+    });
+
+    describe('with a token and a body limit', function () {
+        before(async function () {
+            await stop();
+            await start({ token: 's3cret', maxBodySize: 256 });
+        });
+
+        after(async function () {
+            await stop();
+            await start();
+        });
+
+        it('requires the bearer token', async function () {
+            const missing = await request('GET', '/stats');
+            assert.equal(missing.status, 401);
+            assert.equal(missing.headers.get('www-authenticate'), 'Bearer');
+
+            const wrong = await request('GET', '/stats', undefined, { Authorization: 'Bearer nope' });
+            assert.equal(wrong.status, 401);
+
+            const ok = await request('GET', '/stats', undefined, { Authorization: 'Bearer s3cret' });
+            assert.equal(ok.status, 200);
+        });
+
+        it('refuses bodies over the limit', async function () {
+            const { status, body } = await request(
+                'POST', '/set', { query: 'pasta recipe', result: 'x'.repeat(300) }, { Authorization: 'Bearer s3cret' }
+            );
+            assert.equal(status, 413);
+            assert.equal(body.error.code, 'SEEKMIX_BODY_TOO_LARGE');
+        });
+    });
+});
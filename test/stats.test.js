@@ -0,0 +1,114 @@
+const { describe, it, before, after } = require('node:test');
+const { strict: assert } = require('assert');
+const { SeekMix } = require('../index');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('SeekMix events and stats', function () {
+    let cache;
+    const events = [];
+
+    const embeddingProvider = {
+        model: 'dummy',
+        dimensions: 3,
+        async getEmbeddings(text) {
+            if (text === 'broken') throw new Error('provider down');
+            if (text.includes('pasta')) return [1, 0, 0];
+            if (text.includes('noodles')) return [0.95, 0.05, 0];
+            if (text.includes('salmon')) return [0, 1, 0];
+            return [0, 0, 1];
+        }
+    };
+
+    before(async function () {
+        cache = new SeekMix({
+            dbPath: ':memory:',
+            embeddingProvider,
+            dropIndex: true,
+            similarityThreshold: 0.9,
+            maxEntries: 3,
+            evictionPolicy: 'oldest',
+        });
+        for (const name of ['hit', 'miss', 'set', 'expire', 'evict']) {
+            cache.on(name, (payload) => events.push({ name, payload }));
+        }
+        cache.on('error', (error, context) => events.push({ name: 'error', payload: { error, ...context } }));
+        await cache.connect();
+    });
+
+    after(async function () {
+        await cache.disconnect();
+    });
+
+    it('emits set, hit and miss events with similarity and latency', async function () {
+        await cache.set('pasta recipe', 'boil', { tags: ['lang:en', 'food'] });
+        await cache.get('noodles recipe');
+        await cache.get('salmon recipe');
+
+        const [set, hit, miss] = events.splice(0);
+        assert.equal(set.name, 'set');
+        assert.deepEqual(set.payload.tags, ['food', 'lang:en']);
+
+        assert.equal(hit.name, 'hit');
+        assert.equal(hit.payload.matchedQuery, 'pasta recipe');
+        assert.ok(hit.payload.similarity > 0.9);
+        assert.equal(hit.payload.exact, false);
+        assert.equal(typeof hit.payload.embeddingMs, 'number');
+        assert.equal(typeof hit.payload.queryMs, 'number');
+
+        assert.equal(miss.name, 'miss');
+        assert.equal(miss.payload.query, 'salmon recipe');
+        assert.ok(miss.payload.similarity < 0.9);
+    });
+
+    it('emits expire and evict events', async function () {
+        await cache.set('salmon recipe', 'grill', { ttl: 0.01 });
+        await sleep(20);
+        await cache.get('salmon dish');
+
+        await cache.set('other question', 'a');
+        await cache.set('second other', 'b');
+        await cache.set('third other', 'c');
+
+        const names = events.splice(0).map(event => event.name);
+        assert.ok(names.includes('expire'));
+        assert.ok(names.includes('evict'));
+    });
+
+    it('emits error events only when someone listens', async function () {
+        assert.equal(await cache.get('broken'), null);
+        const [error] = events.splice(0);
+        assert.equal(error.name, 'error');
+        assert.equal(error.payload.operation, 'get');
+
+        const quiet = new SeekMix({ dbPath: ':memory:', embeddingProvider });
+        await quiet.connect();
+        assert.equal(await quiet.get('broken'), null);
+        await quiet.disconnect();
+    });
+
+    it('reports counters, tags, size and a similarity histogram', async function () {
+        await cache.dropKeys();
+        await cache.set('pasta recipe', 'boil', { tags: ['lang:en', 'food'] });
+        await cache.set('salmon recipe', 'grill', { tags: ['lang:en'] });
+        await cache.get('pasta recipe');
+
+        const stats = await cache.stats();
+
+        assert.equal(stats.hits, 2);
+        assert.equal(stats.exactHits, 1);
+        assert.equal(stats.misses, 2);
+        assert.equal(stats.hitRatio, 0.5);
+        assert.equal(stats.entries, 2);
+        assert.deepEqual(stats.tags, { 'lang:en': 2, food: 1 });
+        assert.ok(stats.dbSize > 0);
+        assert.ok(stats.evictions >= 1);
+        assert.ok(stats.expirations >= 1);
+        assert.equal(stats.errors, 1);
+
+        const histogramTotal = stats.similarityHistogram.reduce((sum, bucket) => sum + bucket.count, 0);
+        // The lookup after the salmon entry expired still measures its nearest live entry
+        assert.equal(histogramTotal, 3);
+        assert.deepEqual(stats.similarityHistogram.at(-1), { from: 0.95, to: 1, count: 1 });
+    });
+});
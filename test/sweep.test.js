@@ -0,0 +1,84 @@
+const { describe, it } = require('node:test');
+const { strict: assert } = require('assert');
+const { SeekMix } = require('../index');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const embeddingProvider = {
+    model: 'dummy',
+    dimensions: 3,
+    async getEmbeddings(text) {
+        return text.includes('pasta') ? [1, 0, 0] : [0, 1, 0];
+    }
+};
+
+const count = (cache, table) => cache.db.prepare(`SELECT count(*) AS n FROM "${table}"`).get().n;
+
+describe('SeekMix background sweeper and compaction', function () {
+
+    it('purges expired entries from both tables in the background', async function () {
+        const cache = new SeekMix({ dbPath: ':memory:', embeddingProvider, sweepInterval: 0.02 });
+        const expired = [];
+        cache.on('expire', ({ query }) => expired.push(query));
+        await cache.connect();
+
+        await cache.set('pasta recipe', 'boil', { ttl: 0.01 });
+        await cache.set('salmon recipe', 'grill');
+        await sleep(60);
+
+        assert.deepEqual(expired, ['pasta recipe']);
+        assert.equal(count(cache, cache._cacheTable), 1);
+        assert.equal(count(cache, cache._vecTable), 1);
+
+        await cache.disconnect();
+    });
+
+    it('purges in bounded batches', async function () {
+        const cache = new SeekMix({ dbPath: ':memory:', embeddingProvider });
+        await cache.connect();
+
+        for (let i = 0; i < 5; i++) {
+            await cache.set(`pasta ${i}`, i, { ttl: 0.01 });
+        }
+        await sleep(20);
+
+        assert.equal(await cache.purgeExpired({ batchSize: 2 }), 5);
+        assert.equal(count(cache, cache._cacheTable), 0);
+        assert.equal(count(cache, cache._vecTable), 0);
+
+        await cache.disconnect();
+    });
+
+    it('does not start a timer unless sweepInterval is set', async function () {
+        const cache = new SeekMix({ dbPath: ':memory:', embeddingProvider });
+        await cache.connect();
+        assert.equal(cache._sweepTimer, null);
+        await cache.disconnect();
+    });
+
+    it('stops the timer on disconnect', async function () {
+        const cache = new SeekMix({ dbPath: ':memory:', embeddingProvider, sweepInterval: 0.01 });
+        await cache.connect();
+        assert.ok(cache._sweepTimer);
+
+        await cache.disconnect();
+        assert.equal(cache._sweepTimer, null);
+        await sleep(30);
+    });
+
+    it('compacts the database and reports its size', async function () {
+        const cache = new SeekMix({ dbPath: ':memory:', embeddingProvider });
+        await cache.connect();
+
+        for (let i = 0; i < 50; i++) {
+            await cache.set(`pasta ${i}`, 'x'.repeat(500));
+        }
+        await cache.dropKeys();
+
+        const { before, after } = await cache.compact();
+        assert.ok(before > 0);
+        assert.ok(after <= before);
+
+        await cache.disconnect();
+    });
+});
@@ -0,0 +1,64 @@
+const { describe, it, before, after } = require('node:test');
+const { strict: assert } = require('assert');
+const { SeekMix } = require('../index');
+
+// Every question points almost the same way; the number at the end only nudges it
+const embeddingProvider = {
+    model: 'dummy',
+    dimensions: 2,
+    async getEmbeddings(text) {
+        const n = Number(text.match(/\d+$/)?.[0] ?? 0);
+        return [1, n / 1000];
+    }
+};
+
+describe('SeekMix tag filters in SQL', function () {
+    let cache;
+
+    before(async function () {
+        cache = new SeekMix({ dbPath: ':memory:', embeddingProvider, similarityThreshold: 0.9 });
+        await cache.connect();
+
+        // 100 entries closer to the lookups than the one carrying the right tags
+        await cache.setMany(Array.from({ length: 100 }, (_, i) => ({
+            query: `question ${i}`,
+            result: `wrong ${i}`,
+            tags: ['lang:es', 'faq'],
+        })));
+        await cache.set('question 400', 'right', { tags: ['lang:en', 'faq'] });
+    });
+
+    after(async function () {
+        await cache.disconnect();
+    });
+
+    it('finds a match behind many closer entries with other tags', async function () {
+        const hit = await cache.get('question 0', { tags: ['lang:en'] });
+        assert.equal(hit.result, 'right');
+        assert.deepEqual(hit.tags, ['faq', 'lang:en']);
+    });
+
+    it('applies exclude filters inside the KNN too', async function () {
+        const hit = await cache.get('question 0', { tags: { in: ['faq'], out: ['lang:es'] } });
+        assert.equal(hit.result, 'right');
+    });
+
+    it('requires every included tag', async function () {
+        assert.equal(await cache.get('question 0', { tags: ['lang:en', 'lang:es'] }), null);
+    });
+
+    it('returns k filtered results from search', async function () {
+        const results = await cache.search('question 0', { k: 3, tags: ['lang:en'] });
+        assert.deepEqual(results.map(r => r.result), ['right']);
+    });
+
+    it('keeps the tag index in sync with updates and deletes', async function () {
+        await cache.set('question 400', 'retagged', { tags: ['lang:fr'] });
+        assert.equal(await cache.get('question 0', { tags: ['lang:en'] }), null);
+        assert.equal((await cache.get('question 0', { tags: ['lang:fr'] })).result, 'retagged');
+
+        assert.equal(await cache.invalidateByTags(['lang:es']), 100);
+        const count = cache.db.prepare(`SELECT count(*) AS n FROM "${cache._tagTable}"`).get().n;
+        assert.equal(count, 1);
+    });
+});
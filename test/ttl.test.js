@@ -0,0 +1,131 @@
+const { describe, it, before, after } = require('node:test');
+const { strict: assert } = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { SeekMix } = require('../index');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const embeddingProvider = {
+    model: 'dummy',
+    dimensions: 3,
+    async getEmbeddings(text) {
+        if (text.includes('stock')) return [1, 0, 0];
+        if (text.includes('recipe')) return [0, 1, 0];
+        return [0, 0, 1];
+    }
+};
+
+describe('SeekMix per-entry TTL', function () {
+    let cache;
+
+    before(async function () {
+        cache = new SeekMix({
+            dbPath: ':memory:',
+            embeddingProvider,
+            dropIndex: true,
+            ttl: 60,
+        });
+        await cache.connect();
+    });
+
+    after(async function () {
+        await cache.disconnect();
+    });
+
+    it('expires entries using their own ttl', async function () {
+        await cache.set('NVDA stock price', { price: 100 }, { ttl: 0.05 });
+        await cache.set('pasta recipe', { steps: 3 });
+
+        assert.ok(await cache.get('NVDA stock price'));
+        await sleep(80);
+
+        assert.equal(await cache.get('NVDA stock price'), null);
+        assert.ok(await cache.get('pasta recipe'));
+    });
+
+    it('does not let expired entries hide a live match', async function () {
+        const vectors = { 'stock tip': [0.9, 0.1, 0], 'old stock tip': [1, 0, 0], 'older stock tip': [1, 0.01, 0] };
+        // A batch of one leaves an expired entry for the KNN filter to skip
+        const other = new SeekMix({
+            dbPath: ':memory:',
+            sweepBatchSize: 1,
+            embeddingProvider: { model: 'dummy', dimensions: 3, getEmbeddings: async (text) => vectors[text] || [1, 0, 0] },
+        });
+        await other.connect();
+
+        await other.set('stock tip', 'live');
+        await other.set('old stock tip', 'stale', { ttl: 0 });
+        await other.set('older stock tip', 'stale', { ttl: 0 });
+
+        assert.deepEqual((await other.search('stock tips', { k: 1 })).map(hit => hit.result), ['live']);
+        await other.set('old stock tip', 'stale', { ttl: 0 });
+        assert.equal((await other.get('stock tips')).result, 'live');
+
+        await other.disconnect();
+    });
+
+    it('keeps entries stored with ttl -1 forever', async function () {
+        await cache.set('other question', 'forever', { ttl: -1 });
+        const row = cache.db.prepare(`SELECT expires_at FROM "${cache._cacheTable}" WHERE query = ?`).get('other question');
+        assert.equal(row.expires_at, null);
+    });
+
+    it('purges expired entries from both tables', async function () {
+        await cache.set('AAPL stock price', { price: 200 }, { ttl: 0.01 });
+        await sleep(30);
+
+        assert.equal(await cache.purgeExpired(), 1);
+
+        const vectors = cache.db.prepare(`SELECT count(*) AS n FROM "${cache._vecTable}"`).get();
+        const entries = cache.db.prepare(`SELECT count(*) AS n FROM "${cache._cacheTable}"`).get();
+        assert.equal(vectors.n, entries.n);
+    });
+
+    it('lets invalidateOld() remove expired entries regardless of age', async function () {
+        await cache.set('TSLA stock price', { price: 300 }, { ttl: 0.01 });
+        await sleep(30);
+
+        assert.equal(await cache.invalidateOld(3600), 1);
+        assert.ok(await cache.get('pasta recipe'));
+    });
+});
+
+describe('SeekMix per-entry TTL on older databases', function () {
+    let dbPath;
+    let cache;
+
+    before(function () {
+        dbPath = path.join(os.tmpdir(), `seekmix-ttl-${process.pid}.db`);
+        const db = new Database(dbPath);
+        db.exec(`
+            CREATE TABLE cache_dummy (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                key TEXT UNIQUE NOT NULL,
+                query TEXT NOT NULL,
+                result TEXT NOT NULL,
+                timestamp INTEGER NOT NULL,
+                tags TEXT NOT NULL DEFAULT '[]'
+            )
+        `);
+        db.prepare('INSERT INTO cache_dummy (key, query, result, timestamp) VALUES (?, ?, ?, ?)')
+            .run('legacy', 'legacy question', '"old"', Date.now() - 10000);
+        db.close();
+    });
+
+    after(async function () {
+        if (cache) await cache.disconnect();
+        fs.rmSync(dbPath, { force: true });
+    });
+
+    it('adds the expires_at column and applies the global ttl to existing rows', async function () {
+        cache = new SeekMix({ dbPath, embeddingProvider, ttl: 5 });
+        await cache.connect();
+
+        const row = cache.db.prepare('SELECT timestamp, expires_at FROM cache_dummy').get();
+        assert.equal(row.expires_at, row.timestamp + 5000);
+        assert.equal(await cache.purgeExpired(), 1);
+    });
+});
@@ -0,0 +1,134 @@
+const { describe, it, before, after } = require('node:test');
+const { strict: assert } = require('assert');
+const { SeekMix } = require('../index');
+
+describe('SeekMix wrap (get or set)', function () {
+    let cache;
+
+    const embeddingProvider = {
+        model: 'dummy',
+        dimensions: 3,
+        async getEmbeddings(text) {
+            // Deterministic vectors: "pasta" questions are close, everything else is far away.
+            await new Promise(resolve => setTimeout(resolve, 5));
+            if (text.includes('pasta')) return [1, 0, 0];
+            if (text.includes('noodles')) return [0.95, 0.05, 0];
+            return [0, 0, 1];
+        }
+    };
+
+    const slowProducer = (calls, value) => async (query) => {
+        calls.push(query);
+        await new Promise(resolve => setTimeout(resolve, 20));
+        return { value };
+    };
+
+    before(async function () {
+        cache = new SeekMix({
+            dbPath: ':memory:',
+            embeddingProvider,
+            dropIndex: true,
+            dropKeys: true,
+            similarityThreshold: 0.9,
+        });
+        await cache.connect();
+    });
+
+    after(async function () {
+        await cache.disconnect();
+    });
+
+    it('calls the producer on a miss and serves the cache afterwards', async function () {
+        const calls = [];
+        const first = await cache.wrap('how to cook pasta', slowProducer(calls, 1));
+        const second = await cache.wrap('how to cook pasta', slowProducer(calls, 2));
+
+        assert.deepEqual(first, { value: 1 });
+        assert.deepEqual(second, { value: 1 });
+        assert.equal(calls.length, 1);
+    });
+
+    it('coalesces concurrent identical misses', async function () {
+        const calls = [];
+        const results = await Promise.all([
+            cache.wrap('weather today', slowProducer(calls, 'a')),
+            cache.wrap('weather today', slowProducer(calls, 'b')),
+            cache.wrap('weather today', slowProducer(calls, 'c')),
+        ]);
+
+        assert.equal(calls.length, 1);
+        assert.deepEqual(results, [{ value: 'a' }, { value: 'a' }, { value: 'a' }]);
+    });
+
+    it('coalesces concurrent semantically equal misses', async function () {
+        await cache.dropKeys();
+
+        const calls = [];
+        const results = await Promise.all([
+            cache.wrap('best pasta recipe', slowProducer(calls, 'pasta')),
+            cache.wrap('best noodles recipe', slowProducer(calls, 'noodles')),
+        ]);
+
+        assert.deepEqual(calls, ['best pasta recipe']);
+        assert.deepEqual(results, [{ value: 'pasta' }, { value: 'pasta' }]);
+    });
+
+    it('does not coalesce misses with different tag filters', async function () {
+        await cache.dropKeys();
+
+        const calls = [];
+        await Promise.all([
+            cache.wrap('pasta for kids', slowProducer(calls, 'es'), { tags: ['lang:es'] }),
+            cache.wrap('pasta for children', slowProducer(calls, 'en'), { tags: ['lang:en'] }),
+        ]);
+
+        assert.equal(calls.length, 2);
+
+        const hit = await cache.get('pasta for kids', { tags: ['lang:es'] });
+        assert.ok(hit);
+        assert.deepEqual(hit.result, { value: 'es' });
+    });
+
+    it('propagates producer errors to every waiting caller', async function () {
+        await cache.dropKeys();
+
+        const failing = async () => {
+            await new Promise(resolve => setTimeout(resolve, 10));
+            throw new Error('upstream down');
+        };
+
+        const results = await Promise.allSettled([
+            cache.wrap('something else', failing),
+            cache.wrap('something else', failing),
+        ]);
+
+        assert.ok(results.every(r => r.status === 'rejected' && r.reason.message === 'upstream down'));
+        assert.equal(await cache.get('something else'), null);
+    });
+
+    it('still calls the producer when the embedding provider fails', async function () {
+        const down = new SeekMix({
+            dbPath: ':memory:',
+            embeddingProvider: {
+                model: 'dummy',
+                dimensions: 3,
+                async getEmbeddings() {
+                    throw new Error('provider down');
+                }
+            },
+        });
+        await down.connect();
+
+        const errors = [];
+        down.on('error', (error, { operation }) => errors.push([error.message, operation]));
+        try {
+            const calls = [];
+            assert.deepEqual(await down.wrap('pasta recipe', slowProducer(calls, 'boil')), { value: 'boil' });
+            assert.deepEqual(calls, ['pasta recipe']);
+            assert.deepEqual(errors, [['provider down', 'wrap']]);
+            assert.equal((await down.stats()).entries, 0);
+        } finally {
+            await down.disconnect();
+        }
+    });
+});